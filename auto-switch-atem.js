@@ -13,40 +13,149 @@ process.stderr.write = (chunk, enc, cb) => {
   return stderrWrite(chunk, enc, cb);
 };
 
-import { Atem } from 'atem-connection';
-import { selectATEMInteractively } from './discover-atem.js';
+import { EventEmitter } from 'events';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { selectATEMDeviceInteractively, findATEMByName } from './discover-atem.js';
 import { CONFIG } from './config.js';
-import { parseFairlightLevels } from './lib/audio.js';
+import { parseCliArgs, USAGE } from './lib/cli.js';
+import { loadConfig, diffConfig, ConfigError } from './lib/configLoader.js';
+import { ConfigWatcher } from './lib/ConfigWatcher.js';
+import { ControlServer } from './lib/ControlServer.js';
+import { OverrideController } from './lib/OverrideController.js';
+import { backoffDelay } from './lib/backoff.js';
+import { systemClock } from './lib/clock.js';
+import {
+  createSwitcher,
+  onFairlightLevels,
+  showLowerThird,
+  hideLowerThird,
+  isInTransition,
+  setMultiLayout,
+  clearMultiLayout,
+  transitionFor,
+  runTransition,
+  transitionDurationMs,
+  fairlightFaders,
+  setFairlightFader,
+} from './lib/switcher.js';
+import { SessionRecorder } from './lib/SessionRecorder.js';
+import { parseFairlightLevels, dbToNormalizedLevel } from './lib/audio.js';
+import { findSourceId } from './lib/audioSources.js';
 import { AudioLevelTracker } from './lib/AudioLevelTracker.js';
-import { SwitchDecider } from './lib/SwitchDecider.js';
+import { SwitchDecider, reasonToText } from './lib/SwitchDecider.js';
+import { loadStrategies } from './lib/strategies.js';
+import { SwitchScheduler } from './lib/SwitchScheduler.js';
+import { LowerThirds } from './lib/LowerThirds.js';
+import { MultiLayout } from './lib/MultiLayout.js';
+import { ShadowReport, formatShadowReport } from './lib/ShadowReport.js';
+import { AutoMixer } from './lib/AutoMixer.js';
+
+/** Claves que solo se leen al arrancar: la recarga en caliente las ignora. */
+const RESTART_ONLY_KEYS = ['detection.updateInterval', 'api', 'record', 'switcher', 'strategies'];
+
+/** Tras enviar una transición, margen hasta que el ATEM la muestra en su estado (inTransition). */
+const TRANSITION_ACK_MS = 500;
+
+/**
+ * Margen para reconocer en el programa del ATEM un corte enviado por nosotros. Con
+ * transición se suma su duración: el programa cambia cuando acaba.
+ */
+const OWN_CUT_MATCH_MS = 5000;
 
 // ==================== CLASE PRINCIPAL ====================
 
-class AtemAutoSwitch {
-  constructor() {
+/**
+ * Eventos: 'cut' (cada corte enviado, o sugerencia tomada por el operador: takenBy
+ * 'operator'), 'manualCut' (corte hecho en el ATEM por un operador), 'suggestion'
+ * (cámara en preview en operator.mode suggest/hybrid; null = retirada), 'override'
+ * (lock/suspensión y fin), 'status' (override, cámara amplia…).
+ */
+export class AtemAutoSwitch extends EventEmitter {
+  /**
+   * @param {object} config - configuración ya cargada y validada (ver lib/configLoader.js)
+   * @param {{ configOptions?: { configPath?: string|null, profile?: string|null }, deviceName?: string|null, recordPath?: string|null, clock?: { now(): number }, strategies?: Array }} options
+   *   - configOptions: origen de la configuración, para poder recargarla en caliente
+   *   - deviceName: nombre del ATEM en el descubrimiento, para encontrarlo si cambia de IP
+   *   - recordPath: archivo JSONL donde grabar muestras y cortes (ver lib/SessionRecorder.js)
+   *   - clock: fuente de tiempo de las decisiones (ver lib/clock.js; en tests, ManualClock)
+   *   - strategies: estrategias de decisión ya cargadas (loadStrategies); por defecto, la incluida
+   */
+  constructor(
+    config,
+    { configOptions = null, deviceName = null, recordPath = null, clock = systemClock, strategies } = {}
+  ) {
+    super();
+    this.config = config;
+    this.clock = clock;
+    this.configOptions = configOptions;
+    this.configWatcher = null;
+    this.deviceName = deviceName;
+    this.recordPath = recordPath;
+    this.recorder = null;
     this.atem = null;
     this.currentCamera = null;
     this.lastSwitchTime = 0;
+    /** Hasta cuándo se da por empezada la última transición enviada (ver TRANSITION_ACK_MS) */
+    this.transitionGuardUntil = 0;
+    /** Último input en programa visto en el estado del ATEM */
+    this.lastObservedProgram = null;
+    /** Último corte enviado por nosotros, para no confundirlo con uno manual */
+    this.expectedProgram = null;
+    /** Cambios hechos en marcha desde la API (POST /wide) que una recarga o un preset mantienen */
+    this.runtimeChanges = {};
+    /** Corte de la API (lock o /camera) que espera a que acabe la transición en curso: { inputId, decision } */
+    this.queuedCut = null;
+    /**
+     * operator.mode suggest/hybrid: cámara elegida puesta en preview { inputId, cameraId, previewId, decision, at }
+     * (cameraId: la que queda en programa si el operador la toma; previewId: su input del ATEM)
+     */
+    this.suggestion = null;
     this.isConnected = false;
     this.updateInterval = null;
+    /** Reconexión: intentos fallidos seguidos, temporizador del próximo y si hay uno en curso */
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.reconnecting = false;
+    this.stopped = false;
+    /** Lock de cámara / suspensión del auto: se siguen leyendo niveles pero no se corta */
+    this.override = new OverrideController();
+    this.controlServer = null;
 
-    this.tracker = new AudioLevelTracker(CONFIG);
-    this.decider = new SwitchDecider(CONFIG);
-    /** Cambio pendiente: solo se ejecuta tras switchDelayMs si la decisión se mantiene */
-    this.pendingSwitch = null;
-    /** Estamos en plano: tiempo que lleva solo una persona hablando antes de permitir corte a su cámara */
-    this.wideHoldSingleStartedAt = null;
-    this.wideHoldSingleTargetId = null;
+    this.tracker = new AudioLevelTracker(config, { clock });
+    this.decider = new SwitchDecider(config, { strategies });
+    /** Retraso del corte y hold del plano amplio */
+    this.scheduler = new SwitchScheduler(config);
+    /** operator.mode shadow: cortes del auto frente a los del operador */
+    this.shadow = new ShadowReport({ matchWindowMs: config.operator.shadowMatchWindowMs });
+    /**
+     * Automixer: baja los faders de quien no habla. faders: los bajados, por "input:fuente",
+     * { base: posición original, written: último valor enviado, pending: envíos sin respuesta }
+     */
+    this.automixer = new AutoMixer(config);
+    this.faders = new Map();
+    /** Rótulos en el DSK al cortar por primera vez a quien habla */
+    this.lowerThirds = new LowerThirds(config);
+    /** PiP / SuperSource para 2+ hablando (multiLayout) */
+    this.layout = new MultiLayout(config);
   }
 
   async connect() {
     return new Promise((resolve, reject) => {
-      console.log(`🔌 Conectando al ATEM en ${CONFIG.atemIp}...`);
-      this.atem = new Atem();
+      console.log(`🔌 Conectando al ATEM en ${this.config.atemIp}...`);
+      this.atem = createSwitcher(this.config);
 
       this.atem.on('connected', async () => {
-        console.log('✅ Conectado al ATEM Mini Pro');
+        const isReconnect = this.reconnectAttempt > 0;
+        console.log(isReconnect ? '✅ Reconectado al ATEM' : '✅ Conectado al ATEM Mini Pro');
         this.isConnected = true;
+        this.reconnectAttempt = 0;
+        if (isReconnect) {
+          // Las muestras anteriores a la caída ya no describen la sala
+          this.tracker.reset(this.clock.now());
+          this.lowerThirds.reset();
+          this._resetPendingSwitch();
+        }
         try {
           console.log('\n🔧 Habilitando niveles de audio en tiempo real...');
           await this.atem.startFairlightMixerSendLevels();
@@ -54,20 +163,169 @@ class AtemAutoSwitch {
         } catch (err) {
           console.error('❌ Error al habilitar niveles:', err.message);
         }
-        this.printAtemInfo();
+        if (!isReconnect) this.printAtemInfo();
+        this.syncProgramInput();
+        this.emit('status');
         resolve();
       });
 
+      this.atem.on('stateChanged', (state, paths) => {
+        const list = Array.isArray(paths) ? paths : [paths];
+        if (list.some((p) => String(p).startsWith('video.mixEffects.0'))) {
+          this.handleProgramChange(state?.video?.mixEffects?.[0]?.programInput);
+        }
+      });
+
       this.atem.on('disconnected', () => {
-        console.log('⚠️  Desconectado del ATEM');
-        this.isConnected = false;
+        if (this.isConnected) {
+          console.log('⚠️  Desconectado del ATEM');
+          this.isConnected = false;
+          this._resetPendingSwitch();
+          this.emit('status');
+        }
+        this.scheduleReconnect();
       });
 
       this.atem.on('error', (err) => reject(err));
-      this.atem.connect(CONFIG.atemIp);
+      this.atem.connect(this.config.atemIp);
     });
   }
 
+  /**
+   * Programa el siguiente intento de reconexión con espera exponencial.
+   * atem-connection reintenta por su cuenta cada segundo a la misma IP; aquí se
+   * sustituye por intentos espaciados y, cada reconnect.rediscoverAfterAttempts,
+   * se vuelve a buscar el ATEM por nombre por si cambió de IP (DHCP).
+   */
+  scheduleReconnect() {
+    const options = this.config.reconnect;
+    if (this.stopped || !options.enabled || this.reconnectTimer || this.reconnecting) return;
+    const attempt = ++this.reconnectAttempt;
+    const delay = backoffDelay(attempt, options);
+    console.log(`🔄 Reconexión en ${(delay / 1000).toFixed(1)}s (intento ${attempt})`);
+    this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+  }
+
+  async reconnect() {
+    this.reconnectTimer = null;
+    if (this.stopped || this.isConnected) return;
+    const { connectTimeoutMs, rediscoverAfterAttempts } = this.config.reconnect;
+    this.reconnecting = true;
+    try {
+      // Parar los reintentos propios de atem-connection antes de conectar de nuevo
+      await this.atem.disconnect().catch(() => {});
+
+      if (
+        this.deviceName &&
+        rediscoverAfterAttempts > 0 &&
+        this.reconnectAttempt % rediscoverAfterAttempts === 0
+      ) {
+        console.log(`🔍 Buscando "${this.deviceName}" en la red...`);
+        const device = await findATEMByName(this.deviceName);
+        if (this.stopped) return;
+        if (device && device.ip !== this.config.atemIp) {
+          console.log(`📍 El ATEM cambió de IP: ${this.config.atemIp} → ${device.ip}`);
+          this.config.atemIp = device.ip;
+        }
+      }
+
+      console.log(`🔌 Reconectando a ${this.config.atemIp}...`);
+      const connected = new Promise((resolve) => {
+        const onConnected = () => {
+          clearTimeout(timer);
+          resolve(true);
+        };
+        const timer = setTimeout(() => {
+          this.atem.off('connected', onConnected);
+          resolve(false);
+        }, connectTimeoutMs);
+        this.atem.once('connected', onConnected);
+      });
+      await this.atem.connect(this.config.atemIp).catch((err) => {
+        console.error('❌ Reconexión fallida:', err.message);
+      });
+      if (!(await connected)) await this.atem.disconnect().catch(() => {});
+    } finally {
+      this.reconnecting = false;
+    }
+    if (!this.isConnected) this.scheduleReconnect();
+  }
+
+  /** Input en programa según el ATEM (M/E 1), o null si aún no se conoce. */
+  readProgramInput() {
+    return this.atem?.state?.video?.mixEffects?.[0]?.programInput ?? null;
+  }
+
+  /** Toma como cámara actual lo que el ATEM tiene en programa (al conectar). */
+  syncProgramInput() {
+    const program = this.readProgramInput();
+    if (program == null) return;
+    // En shadow, al reconectar, la cámara del auto sigue siendo la suya
+    if (this.shadow.started) {
+      if (program !== this.lastObservedProgram) this.shadow.recordHuman(program, this.clock.now());
+    } else if (!this.programInLayout(program)) {
+      this.leaveLayout();
+      this.currentCamera = program;
+    }
+    this.lastObservedProgram = program;
+    const name = this.config.cameraMapping[program]?.name || `Input ${program}`;
+    console.log(`📺 En programa: ${name}`);
+  }
+
+  /**
+   * El programa del ATEM cambió. Si no es el corte que enviamos, lo hizo un operador
+   * (botonera o ATEM Software Control): se sincroniza la cámara actual y se cede el
+   * control durante operator.manualCutGraceMs.
+   */
+  handleProgramChange(program) {
+    // Antes de 'connected' llega el volcado inicial del estado: no es un corte
+    if (!this.isConnected) return;
+    if (program == null || program === this.lastObservedProgram) return;
+    this.lastObservedProgram = program;
+    const now = this.clock.now();
+
+    // En shadow el operador manda: su corte solo cuenta para el informe
+    if (this.config.operator.mode === 'shadow') {
+      this.shadow.recordHuman(program, now);
+      const name = this.config.cameraMapping[program]?.name || `Input ${program}`;
+      console.log(`🎛️  Operador: ${name}`);
+      this.emit('manualCut', { inputId: program, name, at: now });
+      return;
+    }
+
+    const expected = this.expectedProgram;
+    if (expected && expected.inputId === program && now <= expected.until) {
+      this.expectedProgram = null;
+      return;
+    }
+    if (this.suggestion?.previewId === program) {
+      this.takeSuggestion(now);
+      return;
+    }
+
+    this.expectedProgram = null;
+    this.leaveLayout();
+    this.currentCamera = program;
+    this.lastSwitchTime = now;
+    this._resetPendingSwitch();
+    const name = this.config.cameraMapping[program]?.name || `Input ${program}`;
+    console.log(`🎛️  Corte manual en el ATEM: ${name}`);
+    this.emit('manualCut', { inputId: program, name, at: now });
+
+    // En suggest corta siempre el operador: sus cortes no paran las sugerencias
+    const graceMs = this.config.operator.mode === 'suggest' ? 0 : this.config.operator.manualCutGraceMs;
+    if (graceMs > 0 && this.override.isActive()) {
+      // Un lock o una pausa de la API se mantienen; si tienen fin, al menos hasta el de la gracia
+      this.override.extendUntil(now + graceMs);
+      this.emit('override', { active: true, ...this.override.state });
+      this.emit('status');
+    } else if (graceMs > 0) {
+      this.suspendAuto({ durationMs: graceMs, source: 'operator' });
+    } else {
+      this.emit('status');
+    }
+  }
+
   printAtemInfo() {
     if (!this.atem?.state) return;
     const s = this.atem.state;
@@ -80,6 +338,12 @@ class AtemAutoSwitch {
         const name = inp.shortName || inp.longName || `Input ${id}`;
         console.log(`   ${id}: ${name}`);
       });
+      // En dve el layout no es un input del ATEM
+      const virtual = this.config.multiLayout.mode === 'dve' ? String(this.config.multiLayout.camera) : null;
+      const missing = Object.keys(this.config.cameraMapping).filter((id) => !s.inputs[id] && id !== virtual);
+      if (missing.length) {
+        console.warn(`⚠️  Inputs de cameraMapping que el ATEM no tiene: ${missing.join(', ')}`);
+      }
     }
     if (s.fairlight?.inputs) {
       console.log(`\n📊 Fairlight: ${Object.keys(s.fairlight.inputs).length} inputs de audio`);
@@ -88,39 +352,102 @@ class AtemAutoSwitch {
   }
 
   startMonitoring() {
-    const { audio, detection, wideCameraId, silenceToWideMs } = CONFIG;
+    const { audio, detection, wideCameraId, silenceToWideMs } = this.config;
     console.log('🎤 Monitoreo de audio');
+    if (this.config.preset) console.log(`   Preset: ${this.config.preset}`);
     console.log(`   Rango dB: ${audio.minDb} a ${audio.maxDb}`);
     console.log(`   Umbral: ${(audio.volumeThreshold * 100).toFixed(1)}%`);
-    console.log(`   Hold: ${audio.holdTime}ms | Cooldown: ${audio.cooldownTime}ms (amplia: ${audio.cooldownWideMs ?? 400}ms)`);
+    console.log(`   Ataque: ${audio.holdTime}ms | Release: ${audio.releaseMs}ms (cierre ×${audio.closeRatio}) | Cooldown: ${audio.cooldownTime}ms (amplia: ${audio.cooldownWideMs ?? 400}ms)`);
     console.log(`   Delay corte: ${audio.switchDelayMs}ms (amplia: ${audio.switchDelayWideMs ?? 300}ms)`);
     const wideHold = audio.wideHoldBeforeSingleMs ?? 0;
     if (wideHold > 0) {
       console.log(`   Plano: esperar ${(wideHold / 1000).toFixed(1)}s con 1 hablante antes de cortar a cámara`);
     }
-    if (CONFIG.cameraMapping[wideCameraId]) {
-      console.log(`   Amplia: ${CONFIG.cameraMapping[wideCameraId].name} (silencio >${silenceToWideMs / 1000}s o 2+ hablan)`);
+    if (this.config.cameraMapping[wideCameraId]) {
+      const multi = this.layout.enabled ? '' : ' o 2+ hablan';
+      console.log(`   Amplia: ${this.config.cameraMapping[wideCameraId].name} (silencio >${silenceToWideMs / 1000}s${multi})`);
+    }
+    if (this.layout.enabled) {
+      const { mode, camera, keyer, boxes } = this.config.multiLayout;
+      const where = mode === 'dve' ? `PiP con el USK ${keyer + 1}` : `SuperSource, cajas ${boxes.map((b) => b + 1).join(', ')}`;
+      console.log(`   2+ hablan: ${this.config.cameraMapping[camera].name} (${where})`);
+    }
+    for (const shot of this.config.groupShots) {
+      const covers = shot.covers.map((id) => this.config.cameraMapping[id]?.name ?? id).join(' + ');
+      console.log(`   Plano de grupo: ${shot.name ?? this.config.cameraMapping[shot.camera].name} (${covers})`);
+    }
+    if (this.config.cutaway.maxShotMs > 0) {
+      const { maxShotMs, durationMs, target } = this.config.cutaway;
+      console.log(`   Recurso: tras ${(maxShotMs / 1000).toFixed(0)}s en un plano, ${(durationMs / 1000).toFixed(1)}s a ${target === 'wide' ? 'la amplia' : 'quien escucha'}`);
+    }
+    if (this.config.lowerThirds.enabled) {
+      const { keyer, durationMs, repeatAfterMs } = this.config.lowerThirds;
+      const count = Object.values(this.config.cameraMapping).filter((cam) => cam.lowerThird).length;
+      const repeat = repeatAfterMs > 0 ? `, de nuevo tras ${(repeatAfterMs / 60000).toFixed(1)} min sin salir` : '';
+      console.log(`   Rótulos: DSK ${keyer + 1}, ${(durationMs / 1000).toFixed(1)}s (${count} cámaras${repeat})`);
+    }
+    if (this.config.automixer.enabled) {
+      const { depthDb, attackMs, releaseMs } = this.config.automixer;
+      const names = this.automixer.sources.map((source) => source.name).join(', ');
+      console.log(`   Automixer: -${depthDb} dB a quien no habla (${names}), ataque ${attackMs}ms, release ${releaseMs}ms`);
+    }
+    if (this.config.operator.mode === 'shadow') {
+      console.log('   Modo shadow: no se envía ningún corte; informe frente al operador al salir');
+      this.shadow.start(this.currentCamera, this.clock.now());
+    } else if (this.config.operator.mode !== 'auto') {
+      const { mode, autoTakeAfterMs } = this.config.operator;
+      const take = mode === 'hybrid' ? `, corte automático si sigue ${(autoTakeAfterMs / 1000).toFixed(1)}s` : '';
+      console.log(`   Modo ${mode}: la cámara elegida va a preview${take}`);
     }
-    console.log(`   Intervalo: ${detection.updateInterval}ms\n`);
-    this.tracker.lastTimeAnyAudio = Date.now();
+    if (this.config.strategies.join() !== 'default') {
+      console.log(`   Estrategias: ${this.config.strategies.join(' → ')}`);
+    }
+    console.log(`   Intervalo: ${detection.updateInterval}ms | Media: ${detection.averageWindowMs}ms\n`);
+    this.tracker.lastTimeAnyAudio = this.clock.now();
 
     this.setupLevelListeners();
-    this.updateInterval = setInterval(() => {
-      this.updateAudioLevelsFromState();
-      this.evaluateSwitch();
-    }, detection.updateInterval);
+    this.updateInterval = setInterval(() => this.evaluateSwitch(), detection.updateInterval);
     this.startPeriodicLogging();
+    this.startRecording();
   }
 
-  setupLevelListeners() {
-    const { minDb, maxDb } = CONFIG.audio;
+  /** Graba muestras y cortes en recordPath para reproducirlos con replay.js. */
+  startRecording() {
+    if (!this.recordPath) return;
+    this.recorder = new SessionRecorder(this.recordPath);
+    this.recorder.recordSession(this.config, this.currentCamera, this.clock.now());
+    this.on('cut', ({ inputId, reason, at, takenBy }) => {
+      const source = takenBy ?? (reason === 'manual' || reason === 'lock' ? 'api' : 'auto');
+      this.recorder.recordCut(inputId, reason, source, at);
+    });
+    this.on('manualCut', ({ inputId, at }) => {
+      this.recorder.recordCut(inputId, 'manual', 'operator', at);
+    });
+    console.log(`⏺️  Grabando sesión en ${this.recordPath}`);
+  }
 
-    const processLevel = (inputIndex, props) => {
+  /** Toda muestra de nivel pasa por aquí: tracker + grabación. */
+  storeSample(sourceId, normalized, db) {
+    const now = this.clock.now();
+    this.tracker.store(sourceId, normalized, db, now);
+    if (this.recorder) this.recorder.recordSample(sourceId, db, normalized, now);
+  }
+
+  setupLevelListeners() {
+    const processLevel = (inputIndex, source, props) => {
       if (inputIndex <= 0 || !props) return;
-      const { db, normalized } = parseFairlightLevels(props, minDb, maxDb);
-      this.tracker.store(inputIndex, normalized, db, props);
-      if (CONFIG.debug) {
-        const name = CONFIG.cameraMapping[inputIndex]?.name || `Input ${inputIndex}`;
+      const { minDb, maxDb } = this.config.audio;
+      let { db, normalized } = parseFairlightLevels(props, minDb, maxDb);
+      const sourceId = findSourceId(this.tracker.sources, inputIndex, source);
+      // Los niveles son después del fader: se deshace lo que bajó el automixer
+      const ducked = this.automixer.appliedGain(sourceId);
+      if (ducked < 0 && Number.isFinite(db)) {
+        db -= ducked;
+        normalized = dbToNormalizedLevel(db, minDb, maxDb);
+      }
+      this.storeSample(sourceId, normalized, db);
+      if (this.config.debug) {
+        const name = this.tracker.sources.get(sourceId)?.name || `Input ${sourceId}`;
         const dbStr = Number.isFinite(db) ? `${db.toFixed(1)} dB` : '-∞ dB';
         const pct = normalized > 0 ? `${(normalized * 100).toFixed(1)}%` : '0%';
         console.log(`🎧 ${name}: ${pct} (${dbStr})`);
@@ -128,88 +455,38 @@ class AtemAutoSwitch {
       this.evaluateSwitch();
     };
 
-    this.atem.on('levelChanged', (payload) => {
-      if (payload?.system === 'fairlight' && payload?.type === 'source' && payload?.levels) {
-        try {
-          processLevel(payload.index, payload.levels);
-        } catch (e) {
-          if (CONFIG.debug) console.error('levelChanged:', e);
-        }
-      }
-    });
-
-    this.atem.on('receivedCommands', (commands) => {
-      if (!Array.isArray(commands)) return;
-      for (const cmd of commands) {
-        const isFmlv =
-          cmd.constructor?.rawName === 'FMLv' ||
-          cmd.constructor?.name === 'FairlightMixerSourceLevelsUpdateCommand';
-        if (isFmlv && cmd.properties && cmd.index !== undefined) {
-          try {
-            processLevel(cmd.index, cmd.properties);
-          } catch (e) {
-            if (CONFIG.debug) console.error('FMLv:', e);
-          }
-        }
-      }
-    });
-
-    this.atem.on('stateChanged', (_state, path) => {
-      if (path.includes('fairlight') || path.includes('audio') || path.includes('level')) {
-        this.updateAudioLevelsFromState();
+    onFairlightLevels(this.atem, (index, source, levels) => {
+      try {
+        processLevel(index, source, levels);
+      } catch (e) {
+        if (this.config.debug) console.error('Nivel Fairlight:', e);
       }
     });
   }
 
-  updateAudioLevelsFromState() {
-    if (!this.atem?.state?.fairlight?.inputs) return;
-    const fairlightInputs = this.atem.state.fairlight.inputs;
-    const { minDb, maxDb } = CONFIG.audio;
-
-    for (const inputId of Object.keys(CONFIG.cameraMapping)) {
-      const inputNum = parseInt(inputId, 10);
-      const fi = fairlightInputs[inputNum];
-      if (!fi) continue;
-
-      let rawLevel = 0;
-      const src = fi.sources && Object.values(fi.sources)[0];
-      if (src?.peakLevels?.length) {
-        rawLevel = Math.max(...src.peakLevels);
-      } else if (src?.peakLevel != null) {
-        rawLevel = src.peakLevel;
-      } else if (fi.peakLevels?.length) {
-        rawLevel = Math.max(...fi.peakLevels);
-      } else if (fi.peakLevel != null) {
-        rawLevel = fi.peakLevel;
-      }
+  evaluateSwitch() {
+    if (!this.isConnected) return;
+    const now = this.clock.now();
+    this.updateLowerThirds(now);
+    this.updateAutomixer(now);
 
-      let normalized = 0;
-      let db = -Infinity;
-      if (typeof rawLevel === 'number' && rawLevel !== 0) {
-        if (rawLevel < 0) {
-          db = rawLevel;
-          const min = rawLevel < -60 ? -100 : -60;
-          normalized = Math.max(0, Math.min(1, (rawLevel - min) / -min));
-        } else if (rawLevel <= 1) {
-          normalized = rawLevel;
-          db = normalized > 0 ? 20 * Math.log10(normalized) : -Infinity;
-        } else if (rawLevel <= 100) {
-          normalized = rawLevel / 100;
-          db = normalized > 0 ? 20 * Math.log10(normalized) : -Infinity;
-        } else {
-          normalized = Math.min(1, rawLevel / 65535);
-          db = normalized > 0 ? -60 + normalized * 60 : -Infinity;
-        }
-      }
-      this.tracker.store(inputNum, normalized, db, rawLevel);
+    if (this.queuedCut && !this.isTransitioning(now)) {
+      const { inputId, decision } = this.queuedCut;
+      this.queuedCut = null;
+      this.switchToCamera(inputId, decision);
     }
-  }
 
-  evaluateSwitch() {
-    if (!this.isConnected) return;
-    const now = Date.now();
-    const wideId = CONFIG.wideCameraId;
-    const wideHoldMs = CONFIG.audio.wideHoldBeforeSingleMs ?? 0;
+    const expired = this.override.update(now, this.tracker.getSilenceDuration(now));
+    if (expired) this._onOverrideEnded(expired.ended, expired.reason);
+    if (this.override.isActive()) {
+      this._resetPendingSwitch();
+      return;
+    }
+    // En shadow el programa del auto es virtual: ni transiciones ni layout en el ATEM
+    const shadow = this.config.operator.mode === 'shadow';
+    // Una decisión nueva no pisa una transición en curso: se retoma al acabar
+    if (!shadow && this.isTransitioning(now)) return;
+    if (!shadow && this.layout.isLayout(this.currentCamera)) this.updateLayout(now);
 
     const decision = this.decider.decide(
       this.tracker,
@@ -217,85 +494,83 @@ class AtemAutoSwitch {
       now,
       this.lastSwitchTime
     );
+    const action = this.scheduler.update(decision, this.currentCamera, now);
+    if (['suggest', 'hybrid'].includes(this.config.operator.mode)) this.updateSuggestion(decision, action, now);
+    else if (action) this.switchToCamera(action.targetId, action.decision, action.delayMs);
+  }
 
-    if (!decision?.switchTo) {
-      this.pendingSwitch = null;
-      // No reiniciar el hold del plano cuando estamos en cámara amplia y hay un flicker (null): así el contador de 4s puede completarse
-      if (this.currentCamera !== wideId) {
-        this.wideHoldSingleStartedAt = null;
-        this.wideHoldSingleTargetId = null;
-      }
-      return;
+  /**
+   * operator.mode suggest/hybrid: el corte decidido va a preview. La sugerencia se retira
+   * si el decider deja de elegirla; en hybrid, si sigue igual autoTakeAfterMs, se corta.
+   */
+  updateSuggestion(decision, action, now) {
+    const suggestion = this.suggestion;
+    if (suggestion && decision?.switchTo !== suggestion.inputId) {
+      this.suggestion = null;
+      console.log(`↩️  Sugerencia retirada: ${this.config.cameraMapping[suggestion.inputId]?.name ?? suggestion.inputId}`);
+      this.emit('suggestion', null);
     }
-
-    const switchTo = decision.switchTo;
-    if (switchTo === this.currentCamera) {
-      this.pendingSwitch = null;
-      this.wideHoldSingleStartedAt = null;
-      this.wideHoldSingleTargetId = null;
+    if (action && action.targetId !== this.suggestion?.inputId) {
+      this.suggestCamera(action.targetId, action.decision, now);
       return;
     }
-
-    // Estamos en plano amplio y quieren cortar a una sola persona: esperar wideHoldBeforeSingleMs antes de permitir el corte.
-    // No reiniciar el contador cuando solo cambia qué cámara es "la que habla" (flicker); solo reiniciar si hay 2+ hablando o silencio.
-    const onWide = this.currentCamera === wideId;
-    const toSingle = decision.reason === 'single';
-    if (onWide && toSingle && wideHoldMs > 0) {
-      if (this.wideHoldSingleStartedAt == null) {
-        this.wideHoldSingleStartedAt = now;
-        this.wideHoldSingleTargetId = switchTo;
-        const name = CONFIG.cameraMapping[switchTo]?.name || switchTo;
-        const delaySingle = CONFIG.audio.switchDelayMs ?? 800;
-        if (CONFIG.debug) {
-          console.log(`   [timing] Plano: cortar a "${name}" en ${(wideHoldMs / 1000).toFixed(1)}s + ${delaySingle}ms`);
-        }
-      }
-      const holdElapsed = now - this.wideHoldSingleStartedAt;
-      if (holdElapsed < wideHoldMs) {
-        this.pendingSwitch = null;
-        return;
-      }
-    } else {
-      this.wideHoldSingleStartedAt = null;
-      this.wideHoldSingleTargetId = null;
+    const { mode, autoTakeAfterMs } = this.config.operator;
+    if (mode === 'hybrid' && this.suggestion && now - this.suggestion.at >= autoTakeAfterMs) {
+      const { inputId, decision: suggested } = this.suggestion;
+      console.log(`⏱️  Sugerencia sin tomar en ${(autoTakeAfterMs / 1000).toFixed(1)}s: se corta`);
+      this.switchToCamera(inputId, suggested);
     }
+  }
 
-    const isWide = decision.reason === 'multi' || decision.reason === 'silence';
-    const switchDelayMs = isWide
-      ? (CONFIG.audio.switchDelayWideMs ?? 300)
-      : (CONFIG.audio.switchDelayMs ?? 800);
-
-    if (switchDelayMs <= 0) {
-      this.switchToCamera(switchTo, decision);
-      return;
-    }
+  /** Pone en preview la cámara elegida para que el operador la corte. */
+  suggestCamera(inputId, decision, now) {
+    const id = Number(inputId);
+    const cameraConfig = this.config.cameraMapping[id];
+    if (!cameraConfig || !this.atem || !this.isConnected) return;
 
-    if (!this.pendingSwitch || this.pendingSwitch.targetId !== switchTo) {
-      this.pendingSwitch = { targetId: switchTo, decision, scheduledAt: now };
-      return;
-    }
+    // Layout: SuperSource se monta y va a preview; el PiP (dve) solo existe en programa,
+    // así que en preview va la cámara de fondo
+    const layoutCameras = this.layout.isLayout(id)
+      ? this.layout.enter(this.tracker.getSourcesWithAudio(now), this.currentCamera)
+      : null;
+    const dve = layoutCameras && this.config.multiLayout.mode === 'dve';
+    const cameraId = dve ? layoutCameras[0] : id;
+    if (cameraId == null) return;
 
-    const elapsed = now - this.pendingSwitch.scheduledAt;
-    if (elapsed < switchDelayMs) {
-      if (CONFIG.debug && (!this._lastDelayLog || now - this._lastDelayLog > 600)) {
-        this._lastDelayLog = now;
-        console.log(`   [debug] Esperando: ${elapsed}/${switchDelayMs}ms`);
+    const previewId = this.atemInputId(cameraId);
+    this.suggestion = { inputId: id, cameraId, previewId, decision, at: now };
+    const name = cameraConfig.name;
+    console.log(`👉 Sugerencia: ${name}${reasonToText(decision)}`);
+    this.emit('suggestion', { inputId: id, name, reason: decision?.reason ?? null, at: now });
+    (async () => {
+      try {
+        if (layoutCameras && !dve) {
+          await setMultiLayout(this.atem, this.layoutInputIds(layoutCameras), this.config.multiLayout);
+        }
+        await this.atem.changePreviewInput(previewId);
+      } catch (err) {
+        console.error(`❌ Error al poner ${name} en preview:`, err.message);
       }
-      return;
-    }
+    })();
+  }
 
-    this.switchToCamera(
-      this.pendingSwitch.targetId,
-      this.pendingSwitch.decision,
-      switchDelayMs
-    );
-    this.pendingSwitch = null;
-    this._lastDelayLog = 0;
+  /** El operador llevó la sugerencia a programa: cuenta como corte decidido por el auto. */
+  takeSuggestion(now) {
+    const { cameraId, decision } = this.suggestion;
+    this.suggestion = null;
+    if (!this.layout.isLayout(cameraId)) this.leaveLayout();
+    this.currentCamera = cameraId;
+    this.lastSwitchTime = now;
+    this.scheduler.reset();
+    const name = this.config.cameraMapping[cameraId].name;
+    console.log(`✅ ${name}${reasonToText(decision)} (tomada por el operador)`);
+    this.emit('cut', { inputId: cameraId, name, reason: decision?.reason ?? null, at: now, takenBy: 'operator' });
+    if (this.lowerThirds.onCut(cameraId, decision?.reason ?? null, now)) this.runLowerThird({ type: 'hide' });
   }
 
   async switchToCamera(inputId, decision = null, delayMs = null) {
     const id = Number(inputId);
-    const cameraConfig = CONFIG.cameraMapping[id];
+    const cameraConfig = this.config.cameraMapping[id];
     if (!cameraConfig) {
       console.warn(`Input ${id} no configurado`);
       return;
@@ -304,39 +579,68 @@ class AtemAutoSwitch {
       console.error('❌ Sin conexión ATEM');
       return;
     }
+    if (this.config.operator.mode === 'shadow') {
+      this.shadowCut(id, decision);
+      return;
+    }
+
+    // Layout: qué cámara va en cada caja (en dve, la de fondo es la que se corta)
+    const layoutCameras = this.layout.isLayout(id)
+      ? this.layout.enter(this.tracker.getSourcesWithAudio(this.clock.now()), this.currentCamera)
+      : null;
+    const programId = layoutCameras && this.config.multiLayout.mode === 'dve' ? layoutCameras[0] : id;
+    if (programId == null) {
+      console.warn(`⚠️  ${cameraConfig.name}: nadie habla para montar el layout`);
+      return;
+    }
+    const clearLayout = !layoutCameras && this.layout.cameras.length > 0;
+    if (clearLayout) this.layout.reset();
 
     try {
-      let actualId = id;
-      const state = this.atem.state;
-      if (state?.inputs) {
-        const entry = state.inputs[id] ?? state.inputs[String(id)];
-        if (entry?.inputId !== undefined) actualId = entry.inputId;
-      }
-      actualId = Number(actualId);
+      const actualId = this.atemInputId(programId);
 
       // Enviar comando al ATEM (fire-and-forget; el corte se aplica cuando el ATEM responde)
+      this.suggestion = null;
       this.currentCamera = id;
-      this.lastSwitchTime = Date.now();
-      const reasonText = this._reasonToText(decision);
+      this.lastSwitchTime = this.clock.now();
+      const transition = transitionFor(this.config, decision?.reason ?? null);
+      this.expectedProgram = {
+        inputId: actualId,
+        until: this.lastSwitchTime + OWN_CUT_MATCH_MS + transitionDurationMs(transition),
+      };
+      const reasonText = reasonToText(decision);
       console.log(`✅ ${cameraConfig.name}${reasonText}`);
-      if (CONFIG.debug && delayMs != null) {
+      this.emit('cut', {
+        inputId: id,
+        name: cameraConfig.name,
+        reason: decision?.reason ?? null,
+        at: this.lastSwitchTime,
+      });
+      if (this.config.debug && delayMs != null) {
         console.log(`   [timing] delay ${delayMs}ms`);
       }
+      // El rótulo de la cámara anterior no puede quedarse sobre la nueva
+      if (this.lowerThirds.onCut(id, decision?.reason ?? null, this.lastSwitchTime)) {
+        this.runLowerThird({ type: 'hide' });
+      }
+
+      // Hasta que el ATEM muestre la transición en su estado, la damos por empezada
+      if (transition.type !== 'cut') this.transitionGuardUntil = this.lastSwitchTime + TRANSITION_ACK_MS;
 
       const doCut = async () => {
         const t0 = Date.now();
-        if (CONFIG.debug) {
-          console.log(`   [ATEM] → changeProgramInput(${actualId}) "${cameraConfig.name}"`);
+        if (this.config.debug) {
+          const rate = transition.type === 'cut' || transition.type === 'auto' ? '' : ` ${transition.duration}f`;
+          console.log(`   [ATEM] → ${transition.type}${rate} a ${actualId} "${cameraConfig.name}"`);
         }
         try {
-          if (CONFIG.transition.type === 'cut') {
-            await this.atem.changeProgramInput(actualId);
-          } else {
-            await this.atem.changePreviewInput(actualId);
-            await this.atem.autoTransition();
+          if (clearLayout) await clearMultiLayout(this.atem, this.config.multiLayout);
+          if (layoutCameras) {
+            await setMultiLayout(this.atem, this.layoutInputIds(layoutCameras), this.config.multiLayout);
           }
+          await runTransition(this.atem, actualId, transition);
           const ms = Date.now() - t0;
-          if (CONFIG.debug) {
+          if (this.config.debug) {
             console.log(`   [ATEM] ← ack en ${ms}ms`);
           }
         } catch (err) {
@@ -349,34 +653,182 @@ class AtemAutoSwitch {
     }
   }
 
-  _reasonToText(decision) {
-    if (!decision?.reason) return '';
-    const { reason } = decision;
-    if (reason === 'silence') {
-      const s = (decision.silenceDuration / 1000).toFixed(1);
-      return ` (silencio ${s}s)`;
+  /** Baja o devuelve los faders según quién habla (automixer.enabled). */
+  updateAutomixer(now) {
+    if (!this.automixer.enabled || this.stopped) return;
+    const speaking = new Set(
+      this.automixer.sources.map((source) => source.id).filter((id) => this.tracker.isSpeaking(id, now))
+    );
+    this.applyFaders(this.automixer.update(speaking, now));
+  }
+
+  /**
+   * Pone cada fader en su posición original + gainDb. La original es la que tiene en el
+   * ATEM al empezar a bajarlo, o la nueva si alguien lo mueve mientras está bajado (no
+   * está en el último valor enviado y no queda ningún envío sin respuesta).
+   */
+  applyFaders(changes) {
+    const commands = [];
+    for (const { source, gainDb } of changes) {
+      for (const fader of fairlightFaders(this.atem?.state, source)) {
+        const key = `${source.input}:${fader.source}`;
+        let entry = this.faders.get(key);
+        if (!entry || (entry.pending === 0 && fader.faderGain !== entry.written)) {
+          entry = { base: fader.faderGain, written: fader.faderGain, pending: 0 };
+          this.faders.set(key, entry);
+        }
+        const faderGain = Math.max(-10000, Math.round(entry.base + gainDb * 100));
+        entry.written = faderGain;
+        entry.pending++;
+        // De vuelta en su posición: la próxima vez se lee de nuevo
+        if (gainDb === 0) this.faders.delete(key);
+        commands.push(
+          setFairlightFader(this.atem, source.input, fader.source, faderGain)
+            .catch((err) => {
+              console.error(`❌ Fader de ${source.name}:`, err.message);
+            })
+            .finally(() => entry.pending--)
+        );
+      }
     }
-    if (reason === 'multi') {
-      const names = (decision.cameraNames || []).join(', ');
-      return ` (2+ hablan: ${names})`;
+    return Promise.all(commands);
+  }
+
+  /**
+   * Devuelve los faders bajados a su posición original: todos (al salir) o los de las
+   * fuentes que el automixer deja de controlar (recarga en caliente).
+   */
+  async restoreAutomixer(changes = this.automixer.restore()) {
+    if (changes.length && this.isConnected) {
+      await this.applyFaders(changes);
+      console.log(`🎚️  Automixer: ${changes.length} faders devueltos a su posición`);
+    }
+  }
+
+  /**
+   * Modo shadow: el corte solo cambia el programa virtual del auto y queda para el informe
+   * (los de un lock o forzados desde la API, con su origen: no son decisiones del auto).
+   */
+  shadowCut(id, decision) {
+    const now = this.clock.now();
+    this.currentCamera = id;
+    this.lastSwitchTime = now;
+    this.shadow.recordAuto(id, decision?.reason ?? null, now, { source: decision?.source ?? 'auto' });
+    const name = this.config.cameraMapping[id].name;
+    console.log(`👻 Cortaría a ${name}${reasonToText(decision)}`);
+    this.emit('cut', { inputId: id, name, reason: decision?.reason ?? null, at: now, shadow: true });
+  }
+
+  /** Entrada o salida del modo shadow en caliente: el informe va de la entrada a la salida. */
+  switchShadow(wasShadow) {
+    if (wasShadow) {
+      this.printShadowReport();
+      this.shadow.reset();
+      // El auto vuelve a mandar desde lo que hay en programa
+      this.syncProgramInput();
+    } else {
+      // En shadow no se ponen rótulos: fuera el programado (el que está en el aire sale a su hora)
+      this.lowerThirds.cancelPending();
+      this.syncProgramInput();
+      this.shadow.start(this.currentCamera, this.clock.now());
+    }
+  }
+
+  /** Imprime el informe shadow (al salir o al dejar el modo shadow). */
+  printShadowReport() {
+    if (!this.shadow.started) return;
+    const summary = this.shadow.summary(this.clock.now());
+    console.log(`\n${formatShadowReport(summary, this.config.cameraMapping).join('\n')}\n`);
+  }
+
+  /** Id de input del ATEM para una cámara (el del estado del ATEM si lo tiene). */
+  atemInputId(cameraId) {
+    const entry = this.atem?.state?.inputs?.[cameraId];
+    return Number(entry?.inputId ?? cameraId);
+  }
+
+  /** Ids de input del ATEM de las cajas del layout (null = caja vacía). */
+  layoutInputIds(cameras) {
+    return cameras.map((cam) => (cam == null ? null : this.atemInputId(cam)));
+  }
+
+  /** Hay una transición de programa en curso (la que enviamos o la que muestra el ATEM). */
+  isTransitioning(now) {
+    return now < this.transitionGuardUntil || isInTransition(this.atem?.state);
+  }
+
+  /** El input en programa es el del layout montado (en dve, su cámara de fondo). */
+  programInLayout(program) {
+    if (this.layout.cameras.length === 0) return false;
+    const { mode, camera } = this.config.multiLayout;
+    return program === this.atemInputId(mode === 'dve' ? this.layout.cameras[0] : camera);
+  }
+
+  /**
+   * El programa salió del layout sin un corte del auto (operador, sugerencia tomada,
+   * reconexión): se desmonta para que la caja del PiP no quede sobre lo que entra.
+   */
+  leaveLayout() {
+    if (this.layout.cameras.length === 0) return;
+    this.layout.reset();
+    clearMultiLayout(this.atem, this.config.multiLayout).catch((err) => {
+      console.error('❌ Error al quitar el layout:', err.message);
+    });
+  }
+
+  /** Con el layout en programa, cambia las cajas si cambió quién habla (sin cortar). */
+  updateLayout(now) {
+    const background = this.layout.cameras[0];
+    const cameras = this.layout.update(this.tracker.getSourcesWithAudio(now));
+    if (!cameras) return;
+    const names = cameras.map((cam) => (cam == null ? '—' : this.config.cameraMapping[cam]?.name ?? cam));
+    console.log(`🔲 Layout: ${names.join(' | ')}`);
+    const changeBackground = this.config.multiLayout.mode === 'dve' && cameras[0] !== background;
+    const backgroundId = this.atemInputId(cameras[0]);
+    if (changeBackground) this.expectedProgram = { inputId: backgroundId, until: now + OWN_CUT_MATCH_MS };
+    (async () => {
+      try {
+        await setMultiLayout(this.atem, this.layoutInputIds(cameras), this.config.multiLayout);
+        if (changeBackground) await this.atem.changeProgramInput(backgroundId);
+      } catch (err) {
+        console.error('❌ Error al cambiar el layout:', err.message);
+      }
+    })();
+  }
+
+  /** Pone o quita el rótulo si toca (ver lib/LowerThirds.js); se llama en cada tick. */
+  updateLowerThirds(now) {
+    const state = this.atem?.state;
+    const action = this.lowerThirds.update(now, {
+      programInput: state?.video?.mixEffects?.[0]?.programInput ?? null,
+      inTransition: isInTransition(state, this.config.lowerThirds.keyer),
+    });
+    if (action) this.runLowerThird(action);
+  }
+
+  async runLowerThird(action) {
+    const options = this.config.lowerThirds;
+    try {
+      if (action.type === 'show') {
+        console.log(`🏷️  Rótulo: ${this.config.cameraMapping[action.cameraId].name}`);
+        await showLowerThird(this.atem, action.lowerThird, options);
+      } else {
+        if (this.config.debug) console.log('🏷️  Rótulo fuera');
+        await hideLowerThird(this.atem, options);
+      }
+    } catch (err) {
+      console.error('❌ Error con el rótulo:', err.message);
     }
-    if (reason === 'single') return ' (1 cámara habla)';
-    return '';
   }
 
   startPeriodicLogging() {
     setInterval(() => {
-      if (!this.isConnected || !CONFIG.debug) return;
+      if (!this.isConnected || !this.config.debug) return;
       const lines = [];
-      for (const [inputId, list] of this.tracker.levels) {
-        const cfg = CONFIG.cameraMapping[Number(inputId)];
-        if (!cfg || list.length === 0) continue;
-        const avg = list.reduce((s, l) => s + l.volume, 0) / list.length;
-        const latestDb = list[list.length - 1]?.db ?? -Infinity;
-        const dbStr = Number.isFinite(latestDb) ? `${latestDb.toFixed(1)} dB` : '-∞ dB';
-        const mark = Number(inputId) === this.currentCamera ? '▶' : ' ';
-        const active = avg > CONFIG.audio.volumeThreshold ? ' 🔊' : '';
-        lines.push(`${mark} ${cfg.name}: ${(avg * 100).toFixed(1)}% | ${dbStr}${active}`);
+      for (const { name, cameras, avgVolume, db, active } of this.tracker.getLevelSnapshot()) {
+        const dbStr = Number.isFinite(db) ? `${db.toFixed(1)} dB` : '-∞ dB';
+        const mark = cameras.includes(this.currentCamera) ? '▶' : ' ';
+        lines.push(`${mark} ${name}: ${(avgVolume * 100).toFixed(1)}% | ${dbStr}${active ? ' 🔊' : ''}`);
       }
       if (lines.length) {
         console.log(`[${new Date().toLocaleTimeString()}] 📊`);
@@ -385,9 +837,268 @@ class AtemAutoSwitch {
     }, 1000);
   }
 
-  stop() {
+  /** Recarga en caliente: vigila el archivo de configuración si lo hay. */
+  watchConfig() {
+    const configPath = this.configOptions?.configPath;
+    if (!configPath) return;
+    this.configWatcher = new ConfigWatcher(configPath, () => this.reloadConfig());
+    this.configWatcher.start();
+    console.log(`👀 Recarga en caliente activa: ${configPath}`);
+  }
+
+  /**
+   * Vuelve a leer el archivo de configuración y aplica los cambios.
+   * Si no es válido se mantiene la configuración actual (la conexión no se toca).
+   * @returns {boolean} true si se aplicó
+   */
+  reloadConfig() {
+    let next;
+    try {
+      ({ config: next } = loadConfig(CONFIG, this.configOptions ?? {}));
+    } catch (err) {
+      console.error(`❌ Configuración rechazada, se mantiene la anterior:\n${err.message}`);
+      return false;
+    }
+    return this.applyConfig(this.withRuntimeChanges(next));
+  }
+
+  /** Vuelve a poner en una configuración recién cargada los cambios hechos desde la API. */
+  withRuntimeChanges(next) {
+    if ('wideCameraId' in this.runtimeChanges) {
+      const id = this.runtimeChanges.wideCameraId;
+      if (id == null || next.cameraMapping[id]) {
+        next.wideCameraId = id;
+      } else {
+        console.warn(`⚠️  La cámara amplia de la API (${id}) ya no está en cameraMapping: se usa la del archivo`);
+        delete this.runtimeChanges.wideCameraId;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Aplica una configuración ya validada al tracker y al decider sin reconectar.
+   * @returns {boolean} true si había cambios
+   */
+  applyConfig(next) {
+    // Solo se leen al arrancar: se conservan los valores actuales
+    if (next.atemIp != null && next.atemIp !== this.config.atemIp) {
+      console.warn(`⚠️  atemIp cambiado a ${next.atemIp}: requiere reiniciar, se ignora`);
+    }
+    next.atemIp = this.config.atemIp;
+    for (const keyPath of RESTART_ONLY_KEYS) {
+      const keys = keyPath.split('.');
+      const last = keys.pop();
+      const from = keys.reduce((o, k) => o[k], this.config);
+      const to = keys.reduce((o, k) => o[k], next);
+      if (JSON.stringify(from[last]) !== JSON.stringify(to[last])) {
+        console.warn(`⚠️  ${keyPath} requiere reiniciar, se ignora el cambio`);
+        to[last] = structuredClone(from[last]);
+      }
+    }
+
+    const changes = diffConfig(this.config, next);
+    if (changes.length === 0) {
+      if (this.config.debug) console.log('🔁 Configuración recargada sin cambios');
+      return false;
+    }
+
+    const wasShadow = this.config.operator.mode === 'shadow';
+    this.config = next;
+    this.tracker.setConfig(next);
+    this.decider.setConfig(next);
+    this.scheduler.setConfig(next);
+    this.lowerThirds.setConfig(next);
+    this.layout.setConfig(next);
+    const released = this.automixer.setConfig(next);
+    if (released.length) this.restoreAutomixer(released);
+    this.shadow.matchWindowMs = next.operator.shadowMatchWindowMs;
+    // Las decisiones en curso se tomaron con los valores anteriores
+    this._resetPendingSwitch();
+    if (wasShadow !== (next.operator.mode === 'shadow')) this.switchShadow(wasShadow);
+
+    console.log('🔁 Configuración recargada:');
+    for (const { path, from, to } of changes) {
+      console.log(`   ${path}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`);
+    }
+    return true;
+  }
+
+  // ---------- Control (API) ----------
+
+  /** Niveles actuales por cámara configurada. */
+  getLevels() {
+    return this.tracker.getLevelSnapshot();
+  }
+
+  getStatus() {
+    const pending = this.scheduler.pendingSwitch;
+    return {
+      connected: this.isConnected,
+      paused: this.override.isActive(),
+      override: this.override.describe(this.clock.now()),
+      currentCamera: this.currentCamera,
+      currentCameraName: this.config.cameraMapping[this.currentCamera]?.name ?? null,
+      wideCameraId: this.config.wideCameraId,
+      preset: this.config.preset,
+      layout: this.layout.isLayout(this.currentCamera) ? this.layout.cameras : null,
+      mode: this.config.operator.mode,
+      suggestion: this.suggestion
+        ? { inputId: this.suggestion.inputId, reason: this.suggestion.decision?.reason ?? null, since: this.suggestion.at }
+        : null,
+      lastSwitchTime: this.lastSwitchTime,
+      pendingSwitch: pending
+        ? { targetId: pending.targetId, reason: pending.decision?.reason ?? null, scheduledAt: pending.scheduledAt }
+        : null,
+      levels: this.getLevels(),
+    };
+  }
+
+  /** Suspende el auto-switch sin límite (hasta resume()). */
+  pause() {
+    this.suspendAuto();
+  }
+
+  resume() {
+    this.releaseOverride();
+  }
+
+  /**
+   * Fija una cámara: el auto-switch no corta hasta que expire o se libere.
+   * @param {number} inputId
+   * @param {{ durationMs?: number|null, source?: string }} options - durationMs null = indefinido
+   */
+  lockCamera(inputId, { durationMs = null, source = 'api' } = {}) {
+    const id = Number(inputId);
+    if (!this.config.cameraMapping[id]) throw new Error(`Input ${inputId} no configurado`);
+    this._checkDuration(durationMs);
+    const state = this.override.lock(id, this.clock.now(), { durationMs, source });
+    this._resetPendingSwitch();
+    const forText = durationMs ? ` durante ${(durationMs / 1000).toFixed(0)}s` : '';
+    console.log(`🔒 Bloqueado en ${this.config.cameraMapping[id].name}${forText}`);
+    if (this.currentCamera !== id) this.apiCut(id, { reason: 'lock', source });
+    this.emit('override', { active: true, ...state });
+    this.emit('status');
+  }
+
+  /**
+   * Suspende el auto-switch (la cámara actual se queda).
+   * @param {{ durationMs?: number|null, resumeAfterSilenceMs?: number|null, source?: string }} options
+   */
+  suspendAuto({ durationMs = null, resumeAfterSilenceMs = null, source = 'api' } = {}) {
+    this._checkDuration(durationMs);
+    this._checkDuration(resumeAfterSilenceMs);
+    const state = this.override.suspend(this.clock.now(), { durationMs, resumeAfterSilenceMs, source });
+    this._resetPendingSwitch();
+    const parts = [];
+    if (durationMs) parts.push(`${(durationMs / 1000).toFixed(0)}s`);
+    if (resumeAfterSilenceMs) parts.push(`o tras ${(resumeAfterSilenceMs / 1000).toFixed(1)}s de silencio`);
+    console.log(`⏸️  Auto-switch suspendido${parts.length ? ` (${parts.join(' ')})` : ''}`);
+    this.emit('override', { active: true, ...state });
+    this.emit('status');
+  }
+
+  /** Quita el lock o la suspensión: el modo auto retoma el control. */
+  releaseOverride() {
+    const ended = this.override.release();
+    if (ended) this._onOverrideEnded(ended, 'manual');
+  }
+
+  _onOverrideEnded(ended, reason) {
+    const why = { timeout: 'tiempo cumplido', silence: 'silencio', manual: 'liberado' }[reason] ?? reason;
+    console.log(`🤖 Modo auto retoma el control (${why})`);
+    this._resetPendingSwitch();
+    this.emit('override', { active: false, ended, reason });
+    this.emit('status');
+  }
+
+  _checkDuration(ms) {
+    if (ms != null && !(Number.isFinite(ms) && ms >= 0)) {
+      throw new Error(`Duración inválida: ${JSON.stringify(ms)}`);
+    }
+  }
+
+  _resetPendingSwitch() {
+    this.scheduler.reset();
+    if (this.suggestion) {
+      this.suggestion = null;
+      this.emit('suggestion', null);
+    }
+  }
+
+  /** Corta ya a una cámara configurada (el auto-switch sigue activo si no hay override). */
+  forceCamera(inputId) {
+    const id = Number(inputId);
+    if (!this.config.cameraMapping[id]) throw new Error(`Input ${inputId} no configurado`);
+    if (!this.isConnected) throw new Error('Sin conexión ATEM');
+    this._resetPendingSwitch();
+    this.apiCut(id, { reason: 'manual', source: 'api' });
+  }
+
+  /**
+   * Corte pedido por la API: con una transición en curso se envía al acabar (en el
+   * siguiente tick), como las decisiones del auto, para no pisarla.
+   */
+  apiCut(inputId, decision) {
+    const now = this.clock.now();
+    if (this.config.operator.mode !== 'shadow' && this.isTransitioning(now)) {
+      this.queuedCut = { inputId, decision };
+      console.log(`⏳ ${this.config.cameraMapping[inputId].name}: al acabar la transición en curso`);
+      return;
+    }
+    this.queuedCut = null;
+    this.switchToCamera(inputId, decision);
+  }
+
+  /** Cambia la cámara amplia en caliente (null = sin cámara amplia). */
+  setWideCamera(inputId) {
+    const id = inputId == null ? null : Number(inputId);
+    if (id != null && !this.config.cameraMapping[id]) {
+      throw new Error(`Input ${inputId} no configurado`);
+    }
+    this.config.wideCameraId = id;
+    this.runtimeChanges.wideCameraId = id;
+    this.decider.setConfig(this.config);
+    this._resetPendingSwitch();
+    console.log(`🎥 Cámara amplia: ${id == null ? 'ninguna' : this.config.cameraMapping[id].name}`);
+    this.emit('status');
+  }
+
+  /**
+   * Cambia el preset de decisión en caliente (null = el del archivo, si lo hay): recarga
+   * la configuración con él, así que el archivo y el perfil siguen mandando sobre el preset.
+   * @throws {ConfigError} si no existe o la configuración resultante no es válida
+   */
+  setPreset(name) {
+    const configOptions = { ...(this.configOptions ?? {}), preset: name ?? null };
+    const { config: next } = loadConfig(CONFIG, configOptions);
+    this.configOptions = configOptions;
+    this.applyConfig(this.withRuntimeChanges(next));
+    console.log(`🎛️  Preset: ${next.preset ?? 'ninguno'}`);
+    this.emit('status');
+  }
+
+  async startControlServer() {
+    const { enabled, host, port, levelsIntervalMs } = this.config.api;
+    if (!enabled) return;
+    this.controlServer = new ControlServer(this, { host, port, levelsIntervalMs });
+    await this.controlServer.start();
+    console.log(`🌐 API de control: http://${host}:${port} (WebSocket: /events)`);
+  }
+
+  async stop() {
+    this.stopped = true;
+    this.printShadowReport();
+    clearTimeout(this.reconnectTimer);
     if (this.updateInterval) clearInterval(this.updateInterval);
-    if (this.atem) this.atem.disconnect();
+    await this.restoreAutomixer();
+    if (this.controlServer) this.controlServer.stop();
+    if (this.configWatcher) this.configWatcher.stop();
+    if (this.atem) {
+      await this.atem.disconnect();
+      await this.atem.destroy?.();
+    }
+    if (this.recorder) await this.recorder.close();
   }
 }
 
@@ -397,41 +1108,87 @@ async function main() {
   console.log('🚀 Auto-Switch ATEM Mini Pro (audio)');
   console.log('='.repeat(50));
 
-  let atemIp = CONFIG.atemIp;
-  if (!atemIp) {
+  let cli;
+  let loaded;
+  let strategies;
+  try {
+    cli = parseCliArgs(process.argv.slice(2));
+    if (cli.help) {
+      console.log(USAGE);
+      process.exit(0);
+    }
+    loaded = loadConfig(CONFIG, cli);
+    strategies = await loadStrategies(loaded.config);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    if (!(err instanceof ConfigError)) console.error(`\n${USAGE}`);
+    process.exit(1);
+  }
+  const config = loaded.config;
+  if (cli.configPath) {
+    const profileText = loaded.profile ? ` (perfil "${loaded.profile}")` : '';
+    console.log(`📄 Configuración: ${cli.configPath}${profileText}`);
+  }
+
+  let atemIp = config.atemIp;
+  let deviceName = null;
+  if (config.switcher.type === 'mock') {
+    const scenario = config.switcher.scenario ?? 'silencio';
+    console.log(`\n🧪 ATEM simulado (escenario: ${scenario})`);
+    atemIp = atemIp || '127.0.0.1';
+  } else if (!atemIp) {
     console.log('\n🔍 Buscando ATEM en la red (IP automática)...\n');
-    atemIp = await selectATEMInteractively();
-    if (!atemIp) {
+    const device = await selectATEMDeviceInteractively();
+    if (!device) {
       console.error('❌ No se encontró ATEM. Conéctalo a la red o usa: ATEM_IP=192.168.x.x npm start');
       process.exit(1);
     }
+    atemIp = device.ip;
+    // Los encontrados solo por probe se llaman "ATEM <ip>": no sirven para buscarlo en otra IP
+    if (device.name && !device.name.includes(device.ip)) deviceName = device.name;
   }
   console.log(`\n📍 ATEM: ${atemIp}`);
-  CONFIG.atemIp = atemIp;
+  config.atemIp = atemIp;
 
-  const app = new AtemAutoSwitch();
+  const app = new AtemAutoSwitch(config, {
+    configOptions: cli,
+    deviceName,
+    recordPath: cli.recordPath ?? config.record.path,
+    strategies,
+  });
   try {
     await app.connect();
     await new Promise((r) => setTimeout(r, 500));
     app.printAtemInfo();
     app.startMonitoring();
+    app.watchConfig();
   } catch (err) {
     console.error('\n❌ Conexión fallida:', err.message);
     console.error('   Comprueba IP, red y puerto 9910.');
     process.exit(1);
   }
+  try {
+    await app.startControlServer();
+  } catch (err) {
+    console.error(`❌ No se pudo iniciar la API de control: ${err.message}`);
+    app.stop();
+    process.exit(1);
+  }
 
   console.log('='.repeat(50));
   console.log('✅ En marcha. Ctrl+C para salir.\n');
 
-  process.on('SIGINT', () => {
+  process.on('SIGINT', async () => {
     console.log('\n🛑 Cerrando...');
-    app.stop();
+    await app.stop();
     process.exit(0);
   });
 }
 
-main().catch((e) => {
-  console.error('Error:', e);
-  process.exit(1);
-});
+// Solo al ejecutarlo directamente (los tests importan la clase)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((e) => {
+    console.error('Error:', e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Coste por tick del tracker + decider con muchas fuentes: cada fuente envía un nivel
+ * cada 50 ms (como FMLv) y cada 100 ms se decide, igual que en directo.
+ *
+ *   npm run bench [-- segundosSimulados]
+ */
+
+import { performance } from 'perf_hooks';
+import { CONFIG } from '../config.js';
+import { mergeConfig } from '../lib/configLoader.js';
+import { dbToNormalizedLevel } from '../lib/audio.js';
+import { AudioLevelTracker } from '../lib/AudioLevelTracker.js';
+import { SwitchDecider } from '../lib/SwitchDecider.js';
+
+const SAMPLE_INTERVAL_MS = 50;
+const SOURCE_COUNTS = [8, 16, 32];
+const simulatedSeconds = Number(process.argv[2]) || 600;
+
+/** Config con `count` cámaras (la última, amplia) y un micro por cámara. */
+function benchConfig(count) {
+  const cameraMapping = {};
+  for (let i = 1; i <= count; i++) cameraMapping[i] = { name: `Cámara ${i}` };
+  return mergeConfig(CONFIG, { cameraMapping, wideCameraId: count, switcher: { type: 'mock' } });
+}
+
+/** Nivel de la fuente en t: turnos de 5 s de una persona, a veces dos a la vez, y el resto diafonía. */
+function levelDb(sourceIndex, t, count) {
+  const turn = Math.floor(t / 5000);
+  const speaker = turn % count;
+  const overlap = turn % 4 === 3 ? (speaker + 1) % count : -1;
+  if (sourceIndex === speaker || sourceIndex === overlap) return -14 + Math.sin(t / 90) * 4;
+  return -34 + Math.sin(t / 70 + sourceIndex);
+}
+
+function run(count) {
+  const config = benchConfig(count);
+  const tracker = new AudioLevelTracker(config);
+  const decider = new SwitchDecider(config);
+  const { minDb, maxDb, updateInterval } = { ...config.audio, ...config.detection };
+  let currentCamera = config.wideCameraId;
+  let lastSwitchTime = 0;
+  let ticks = 0;
+  const start = performance.now();
+  for (let t = 0; t < simulatedSeconds * 1000; t += SAMPLE_INTERVAL_MS) {
+    for (let i = 0; i < count; i++) {
+      const db = levelDb(i, t, count);
+      tracker.store(i + 1, dbToNormalizedLevel(db, minDb, maxDb), db, t);
+    }
+    if (t % updateInterval === 0) {
+      const decision = decider.decide(tracker, currentCamera, t, lastSwitchTime);
+      if (decision) {
+        currentCamera = decision.switchTo;
+        lastSwitchTime = t;
+      }
+      ticks++;
+    }
+  }
+  return (performance.now() - start) / ticks;
+}
+
+console.log(`⏱️  Tracker + decider: ${simulatedSeconds}s simulados, una muestra cada ${SAMPLE_INTERVAL_MS}ms por fuente`);
+run(SOURCE_COUNTS[0]); // calentamiento del JIT
+for (const count of SOURCE_COUNTS) {
+  const perTick = run(count);
+  console.log(`   ${String(count).padStart(2)} fuentes: ${(perTick * 1000).toFixed(1).padStart(6)} µs por tick (muestras de 100 ms + decisión)`);
+}
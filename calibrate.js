@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Calibra el umbral de cada fuente de audio: escucha la sala en silencio, luego a
+ * cada persona hablando, y guarda los umbrales en el archivo de configuración
+ * (cameraMapping.N.threshold o audioSources[i].threshold) y la diafonía entre micros
+ * (bleedMatrix).
+ *
+ *   npm run calibrate -- --config show.yaml [--profile nombre] [--output archivo] [--mock escenario]
+ */
+
+import readline from 'readline/promises';
+import { CONFIG } from './config.js';
+import { parseCliArgs } from './lib/cli.js';
+import { loadConfig } from './lib/configLoader.js';
+import { parseFairlightLevels } from './lib/audio.js';
+import { resolveAudioSources, findSourceId } from './lib/audioSources.js';
+import { LevelCollector, computeThresholds, computeBleedMatrix, writeThresholds, writeBleedMatrix } from './lib/calibration.js';
+import { createSwitcher, onFairlightLevels } from './lib/switcher.js';
+import { selectATEMInteractively } from './discover-atem.js';
+
+const USAGE = `Uso: npm run calibrate -- [opciones]
+
+  -c, --config <archivo>   Configuración a calibrar (los umbrales se guardan en él)
+  -p, --profile <nombre>   Perfil del archivo a usar
+  -o, --output <archivo>   Guardar en otro archivo (por defecto, --config o config.yaml)
+  -m, --mock <escenario>   ATEM simulado con un escenario
+  -h, --help               Muestra esta ayuda`;
+
+/** Archivo donde guardar si no hay --config ni --output. */
+const DEFAULT_OUTPUT = 'config.yaml';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function formatDb(db) {
+  return db == null ? '   —   ' : `${db.toFixed(1).padStart(5)} dB`;
+}
+
+function formatPct(value) {
+  return value == null ? '  —  ' : `${(value * 100).toFixed(1).padStart(4)}%`;
+}
+
+/** Conecta y espera 'connected' (o falla tras connectTimeoutMs). */
+function connect(atem, ip, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`sin respuesta de ${ip}`)), timeoutMs);
+    atem.once('connected', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    atem.connect(ip).catch((err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+async function main() {
+  const cli = parseCliArgs(process.argv.slice(2));
+  if (cli.help) {
+    console.log(USAGE);
+    return;
+  }
+  const { config, profile } = loadConfig(CONFIG, cli);
+  const outputPath = cli.outputPath || cli.configPath || DEFAULT_OUTPUT;
+  const sources = resolveAudioSources(config);
+  const { roomToneMs, speechMs, thresholdPosition } = config.calibration;
+
+  let ip = config.atemIp;
+  if (config.switcher.type === 'mock') {
+    ip = ip || '127.0.0.1';
+  } else if (!ip) {
+    ip = await selectATEMInteractively();
+    if (!ip) throw new Error('No se encontró ATEM (usa ATEM_IP=192.168.x.x)');
+  }
+
+  console.log('🎚️  Calibración de umbrales');
+  console.log(`🔌 Conectando al ATEM en ${ip}...`);
+  const atem = createSwitcher(config);
+  await connect(atem, ip, config.reconnect.connectTimeoutMs);
+  await atem.startFairlightMixerSendLevels();
+
+  const collector = new LevelCollector({ sources, audio: config.audio });
+  onFairlightLevels(atem, (index, source, levels) => {
+    const { db, normalized } = parseFairlightLevels(levels, config.audio.minDb, config.audio.maxDb);
+    collector.add(findSourceId(sources, index, source), db, normalized);
+  });
+
+  // Con terminal se espera Enter antes de cada fase; sin ella (CI, simulado) se sigue solo
+  const rl = process.stdin.isTTY ? readline.createInterface({ input: process.stdin, output: process.stdout }) : null;
+  const ready = async (text) => {
+    if (rl) await rl.question(`${text} — pulsa Enter para empezar`);
+    else console.log(text);
+  };
+
+  try {
+    await ready(`\n🤫 Silencio en la sala (${roomToneMs / 1000}s de ruido de fondo)`);
+    collector.start('room');
+    await sleep(roomToneMs);
+
+    for (const source of sources.values()) {
+      await ready(`\n🎤 ${source.name}: habla con normalidad durante ${speechMs / 1000}s`);
+      collector.start(source.id);
+      await sleep(speechMs);
+    }
+    collector.start(null);
+  } finally {
+    rl?.close();
+    await atem.disconnect();
+    await atem.destroy?.();
+  }
+
+  const results = computeThresholds(collector, sources, { thresholdPosition });
+  console.log('\n📊 Resultado:');
+  console.log('   Fuente               Ruido       Voz         Umbral');
+  for (const r of results) {
+    const name = String(r.name).padEnd(18).slice(0, 18);
+    const line = `   ${name}  ${formatDb(r.noiseDb)}  ${formatDb(r.speechDb)}  ${formatPct(r.threshold)}`;
+    console.log(r.warning ? `${line}  ⚠️  ${r.warning}` : line);
+  }
+
+  const matrix = computeBleedMatrix(collector, sources);
+  const pairs = Object.entries(matrix).flatMap(([from, row]) => Object.entries(row).map(([to, lossDb]) => [from, to, lossDb]));
+  if (pairs.length) {
+    const name = (id) => [...sources.values()].find((s) => String(s.id) === id)?.name ?? id;
+    console.log('\n🔊 Diafonía (cuánto baja cada voz en los demás micros):');
+    for (const [from, to, lossDb] of pairs) {
+      const line = `   ${name(from)} → ${name(to)}: ${lossDb.toFixed(1)} dB`;
+      console.log(lossDb < config.audio.bleedMarginDb ? `${line}  ⚠️  casi tan alta como en su micro` : line);
+    }
+  }
+
+  const written = writeThresholds(outputPath, results, { config, profile, seedPath: cli.configPath });
+  if (written.length === 0) {
+    console.log('\n⚠️  No se guardó ningún umbral');
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`\n💾 ${written.length} umbrales guardados en ${outputPath}`);
+  if (pairs.length) {
+    console.log(`💾 Diafonía guardada en ${writeBleedMatrix(outputPath, matrix, { config, profile, seedPath: cli.configPath })}`);
+  }
+  if (outputPath !== cli.configPath) {
+    const inProfile = written[0].startsWith('profiles.');
+    console.log(`   Úsalo con: npm start -- --config ${outputPath}${inProfile ? ` --profile ${profile}` : ''}`);
+  }
+}
+
+main().then(
+  () => process.exit(),
+  (err) => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+);
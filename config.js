@@ -1,5 +1,6 @@
 /**
  * Configuración del auto-switch (variables de entorno y valores por defecto).
+ * Un archivo JSON/YAML (--config) puede sobrescribir cualquier clave; ver lib/configLoader.js.
  */
 
 // Fija aquí la IP de tu ATEM para no depender del descubrimiento (ej. si hay varios en la red)
@@ -8,6 +9,15 @@ const ATEM_IP_FIJA = null; // ej: '192.168.68.111'
 export const CONFIG = {
   atemIp: process.env.ATEM_IP || ATEM_IP_FIJA || null,
 
+  /** Backend: 'atem' (real) o 'mock' (simulado, ver lib/MockAtem.js) */
+  switcher: {
+    type: process.env.SWITCHER || 'atem',
+    /** Escenario del simulado: guion .yaml/.json o sesión grabada .jsonl */
+    scenario: process.env.MOCK_SCENARIO || null,
+    /** Velocidad de reproducción del escenario */
+    speed: 1,
+  },
+
   cameraMapping: {
     1: { name: 'Cámara 1' },
     2: { name: 'Cámara 2' },
@@ -15,19 +25,73 @@ export const CONFIG = {
     4: { name: 'Cámara 4' },
   },
 
+  /**
+   * Fuentes de audio → cámaras (ver lib/audioSources.js). null = el audio del input N es de la cámara N.
+   * Ej.: [{ input: 1301, name: 'Host', cameras: [1, 4] }, { input: 1302, name: 'Invitada', cameras: [2] }]
+   */
+  audioSources: null,
+
+  /** Preset de decisión (ver lib/presets.js): podcast, interview, panel, presentation. null = ninguno. */
+  preset: process.env.PRESET || null,
+
   wideCameraId: process.env.WIDE_CAMERA_ID ? parseInt(process.env.WIDE_CAMERA_ID, 10) : 3,
+  /** Input de las diapositivas / ordenador (para silenceTo: 'slides') */
+  slidesCameraId: process.env.SLIDES_CAMERA_ID ? parseInt(process.env.SLIDES_CAMERA_ID, 10) : null,
+  /** En silencio: 'wide' (amplia y planos de grupo) o 'slides' (slidesCameraId) */
+  silenceTo: process.env.SILENCE_TO || 'wide',
+
+  /**
+   * Planos de grupo además de la amplia: { camera, covers: [cámaras de las personas que salen], silence? }.
+   * Con 2+ hablando se elige el más cerrado que las incluya a todas (si no hay, la amplia);
+   * en silencio se rota entre la amplia y los planos con silence distinto de false.
+   * Ej.: [{ camera: 5, name: 'Dos de la izquierda', covers: [1, 2] }]
+   */
+  groupShots: [],
+
+  /**
+   * Qué sale con 2+ hablando (ver lib/MultiLayout.js): 'wide' (amplia o plano de grupo),
+   * 'dve' (una persona de fondo y otra en la caja del USK) o 'supersource' (cajas de SuperSource).
+   */
+  multiLayout: {
+    mode: process.env.MULTI_LAYOUT || 'wide',
+    /** Id del layout en cameraMapping: el input de SuperSource (6000) o, en dve, un id libre */
+    camera: process.env.MULTI_LAYOUT_CAMERA ? parseInt(process.env.MULTI_LAYOUT_CAMERA, 10) : null,
+    /** dve: USK del M/E 1 (0 = USK 1); la posición y el tamaño de la caja se ajustan en el ATEM */
+    keyer: 0,
+    /** supersource: cajas a llenar, en orden (posición y tamaño se ajustan en el ATEM) */
+    boxes: [0, 1, 2, 3],
+  },
+
+  /**
+   * Estrategias de decisión en orden de prioridad (ver lib/strategies.js): 'default' (las
+   * reglas incluidas) y rutas a módulos ES propios. Ej.: ['./mis-reglas.js', 'default']
+   */
+  strategies: process.env.STRATEGIES ? process.env.STRATEGIES.split(',').map((s) => s.trim()) : ['default'],
+
   silenceToWideMs: parseInt(process.env.SILENCE_TO_WIDE_MS || '2000'),
 
   transition: {
+    /** 'cut', 'mix', 'dip', 'wipe' o 'auto' (la transición que tenga puesta el ATEM) */
     type: process.env.TRANSITION_TYPE || 'cut',
+    /** Rate de mix/dip/wipe en frames */
     duration: parseInt(process.env.TRANSITION_DURATION || '30'),
+    /**
+     * Por razón del corte (single, multi, silence, cutaway, manual, lock…), sobre lo anterior.
+     * Ej.: { silence: { type: 'mix', duration: 25 }, single: { type: 'cut' } }
+     */
+    reasons: {},
   },
 
   audio: {
     minDb: parseFloat(process.env.AUDIO_MIN_DB || '-40'),
     maxDb: parseFloat(process.env.AUDIO_MAX_DB || '0'),
     volumeThreshold: parseFloat(process.env.VOLUME_THRESHOLD || '0.11'),
+    /** Ataque: ms por encima del umbral antes de contar como "hablando" */
     holdTime: parseInt(process.env.HOLD_TIME || '300'),
+    /** Release: ms por debajo del umbral de cierre antes de dejar de contar */
+    releaseMs: parseInt(process.env.RELEASE_MS || '700'),
+    /** Umbral de cierre = umbral × closeRatio (histéresis) */
+    closeRatio: parseFloat(process.env.CLOSE_RATIO || '0.7'),
     cooldownTime: parseInt(process.env.COOLDOWN_TIME || '2000'),
     /** Cooldown más corto al ir a cámara amplia (2+ hablan o silencio), para que no tarde ~2 s */
     cooldownWideMs: parseInt(process.env.COOLDOWN_WIDE_MS || '400'),
@@ -38,11 +102,126 @@ export const CONFIG = {
     switchDelayWideMs: parseInt(process.env.SWITCH_DELAY_WIDE_MS || '300'),
     /** Estando en plano amplio: tiempo mínimo (ms) que debe hablar solo una persona antes de cortar a su cámara. Evita cambios bruscos. */
     wideHoldBeforeSingleMs: parseInt(process.env.WIDE_HOLD_BEFORE_SINGLE_MS || '4000'),
+    /** Diafonía: una fuente este número de dB por debajo de otra que suena se toma como su eco (ver lib/bleed.js). 0 = solo con bleedMatrix. */
+    bleedDominanceDb: parseFloat(process.env.BLEED_DOMINANCE_DB || '9'),
+    /** Con bleedMatrix: dB por encima de la diafonía medida que aún cuentan como eco */
+    bleedMarginDb: parseFloat(process.env.BLEED_MARGIN_DB || '3'),
+  },
+
+  /** Variedad de planos en monólogos largos: un recurso (quien escucha o la amplia) y vuelta a quien habla */
+  cutaway: {
+    /** Tras este tiempo (ms) en el plano de una persona que habla sola, un recurso. 0 = nunca. */
+    maxShotMs: parseInt(process.env.CUTAWAY_MAX_SHOT_MS || '0'),
+    /** Duración del recurso antes de volver a quien habla */
+    durationMs: parseInt(process.env.CUTAWAY_DURATION_MS || '3000'),
+    /** Tiempo mínimo entre dos recursos */
+    minIntervalMs: parseInt(process.env.CUTAWAY_MIN_INTERVAL_MS || '20000'),
+    /** 'listener': cámara de alguien que escucha (si no hay, la amplia); 'wide': siempre la amplia */
+    target: process.env.CUTAWAY_TARGET || 'listener',
+  },
+
+  /**
+   * Rótulos en un downstream keyer al cortar por primera vez a quien habla (ver lib/LowerThirds.js).
+   * Por cámara: cameraMapping.N.lowerThird = { still: índice en el media pool } o { macro: índice }.
+   */
+  lowerThirds: {
+    enabled: process.env.LOWER_THIRDS === 'true',
+    /** DSK del rótulo (0 = DSK 1); su fill/key debe ser el media player */
+    keyer: 0,
+    /** Media player donde se carga el still (0 = MP 1) */
+    mediaPlayer: 0,
+    /** Espera tras el corte antes de ponerlo */
+    delayMs: 1000,
+    /** Tiempo en el aire */
+    durationMs: parseInt(process.env.LOWER_THIRDS_DURATION_MS || '6000'),
+    /** Volver a ponerlo si la persona lleva este tiempo sin salir en programa. 0 = solo la primera vez. */
+    repeatAfterMs: parseInt(process.env.LOWER_THIRDS_REPEAT_AFTER_MS || '0'),
+    /** true: entra y sale con la transición del DSK (su rate); false: al corte */
+    mix: true,
+  },
+
+  /**
+   * Automixer: baja el fader Fairlight de los micros de quien no habla (ver lib/AutoMixer.js).
+   * Al desactivarlo o salir, los faders vuelven a donde estaban.
+   */
+  automixer: {
+    enabled: process.env.AUTOMIXER === 'true',
+    /** dB que se bajan (100 = silenciar: el fader del ATEM llega a -100 dB) */
+    depthDb: parseFloat(process.env.AUTOMIXER_DEPTH_DB || '12'),
+    /** ms en abrir del todo al empezar a hablar */
+    attackMs: parseInt(process.env.AUTOMIXER_ATTACK_MS || '50'),
+    /** ms en bajar depthDb al dejar de hablar (tras el release del detector de voz) */
+    releaseMs: parseInt(process.env.AUTOMIXER_RELEASE_MS || '1500'),
+    /** Fuentes que controla (input o "input:fuente"); null = las de las cámaras */
+    sources: null,
   },
 
+  /**
+   * Diafonía medida por npm run calibrate: bleedMatrix[A][B] = dB que pierde la voz de A en el micro de B.
+   * null = usar audio.bleedDominanceDb para todos los pares.
+   */
+  bleedMatrix: null,
+
   detection: {
     updateInterval: 100,
-    samplesForAverage: 30,
+    /** Ventana (ms) de la media de nivel de cada fuente */
+    averageWindowMs: 1500,
+  },
+
+  reconnect: {
+    enabled: process.env.RECONNECT !== 'false',
+    initialDelayMs: 1000,
+    maxDelayMs: 30000,
+    factor: 2,
+    /** ±fracción aleatoria sobre cada espera */
+    jitter: 0.2,
+    /** Tiempo máximo de cada intento hasta recibir 'connected' */
+    connectTimeoutMs: 5000,
+    /** Cada cuántos intentos fallidos buscar el ATEM por nombre (por si cambió de IP). 0 = nunca. */
+    rediscoverAfterAttempts: 3,
+  },
+
+  operator: {
+    /** Tras un corte manual en el ATEM (botonera / Software Control): ms sin auto-switch. 0 = no ceder. */
+    manualCutGraceMs: parseInt(process.env.MANUAL_CUT_GRACE_MS || '10000'),
+    /**
+     * 'auto' corta; 'suggest' pone en preview la cámara elegida y corta el operador (CUT/AUTO);
+     * 'hybrid' como suggest, pero la lleva a programa si la sugerencia sigue igual autoTakeAfterMs;
+     * 'shadow' no envía nada: decide en paralelo al operador y al salir compara sus cortes
+     */
+    mode: process.env.OPERATOR_MODE || 'auto',
+    autoTakeAfterMs: parseInt(process.env.AUTO_TAKE_AFTER_MS || '4000'),
+    /** shadow: un corte del operador coincide con uno del auto a la misma cámara a menos de estos ms */
+    shadowMatchWindowMs: parseInt(process.env.SHADOW_MATCH_WINDOW_MS || '3000'),
+  },
+
+  override: {
+    /** "Suspender auto" desde la API: reanudar tras este silencio (ms) si no se indica otro. 0 = no reanudar. */
+    resumeAfterSilenceMs: parseInt(process.env.OVERRIDE_RESUME_AFTER_SILENCE_MS || '5000'),
+  },
+
+  /** Modo calibrate (npm run calibrate): duración de cada fase y posición del umbral */
+  calibration: {
+    /** Silencio en la sala para medir el ruido de fondo */
+    roomToneMs: 5000,
+    /** Tiempo que habla cada persona */
+    speechMs: 8000,
+    /** Dónde queda el umbral entre ruido (0) y voz (1) */
+    thresholdPosition: 0.5,
+  },
+
+  record: {
+    /** Archivo JSONL donde grabar niveles y cortes (también --record). null = no grabar. */
+    path: process.env.RECORD_PATH || null,
+  },
+
+  /** API local de control (HTTP + WebSocket). Se activa con API_PORT o api.enabled. */
+  api: {
+    enabled: Boolean(process.env.API_PORT),
+    host: process.env.API_HOST || '127.0.0.1',
+    port: parseInt(process.env.API_PORT || '8787'),
+    /** Cada cuánto se envían niveles por WebSocket */
+    levelsIntervalMs: 200,
   },
 
   debug: process.env.DEBUG === 'true' || false,
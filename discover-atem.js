@@ -332,8 +332,10 @@ export async function getATEMIpAuto(interactive = true) {
 /**
  * Interfaz interactiva para seleccionar un ATEM de la lista.
  * Si solo hay uno (o uno es Mini Pro entre varios), lo usa automáticamente.
+ * @returns {Promise<{ip: string, model: string, name: string|null}|null>} dispositivo elegido
+ *   (name null si la IP se escribió a mano)
  */
-export async function selectATEMInteractively() {
+export async function selectATEMDeviceInteractively() {
   console.log('🔍 Buscando ATEM (Bonjour + UDP)...\n');
   const devices = await discoverATEMs();
 
@@ -352,7 +354,7 @@ export async function selectATEMInteractively() {
         const ip = answer.trim();
         if (ip && ip.match(/^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/)) {
           console.log(`\n✅ Usando IP: ${ip}`);
-          resolve(ip);
+          resolve({ ip, model: 'ATEM', name: null });
         } else {
           resolve(null);
         }
@@ -368,11 +370,11 @@ export async function selectATEMInteractively() {
   const chosen = preferMiniPro(devices);
   if (devices.length === 1) {
     console.log(`\n✅ Usando: ${chosen.name} (${chosen.ip})\n`);
-    return chosen.ip;
+    return chosen;
   }
   if (chosen && (chosen.model || '').toLowerCase().includes('mini')) {
     console.log(`\n✅ Usando ATEM Mini Pro: ${chosen.ip}\n`);
-    return chosen.ip;
+    return chosen;
   }
 
   const rl = readline.createInterface({
@@ -386,7 +388,7 @@ export async function selectATEMInteractively() {
       if (index >= 0 && index < devices.length) {
         const selected = devices[index];
         console.log(`\n✅ ${selected.name} (${selected.ip})\n`);
-        resolve(selected.ip);
+        resolve(selected);
       } else {
         resolve(null);
       }
@@ -394,6 +396,30 @@ export async function selectATEMInteractively() {
   });
 }
 
+/**
+ * Interfaz interactiva para seleccionar un ATEM; devuelve solo la IP.
+ * @returns {Promise<string|null>}
+ */
+export async function selectATEMInteractively() {
+  const device = await selectATEMDeviceInteractively();
+  return device?.ip ?? null;
+}
+
+/**
+ * Busca en la red un ATEM por nombre (o modelo), p. ej. tras un cambio de IP por DHCP.
+ * @param {string} name - nombre anunciado por Bonjour/UDP o modelo del ATEM
+ * @returns {Promise<{ip: string, model: string, name: string}|null>}
+ */
+export async function findATEMByName(name) {
+  const wanted = String(name).trim().toLowerCase();
+  const devices = await discoverATEMs();
+  return (
+    devices.find((d) => (d.name || '').trim().toLowerCase() === wanted) ||
+    devices.find((d) => (d.model || '').trim().toLowerCase() === wanted) ||
+    null
+  );
+}
+
 // Si se ejecuta directamente, mostrar dispositivos encontrados
 if (import.meta.url.endsWith(process.argv[1]) || process.argv[1].includes('discover-atem.js')) {
   selectATEMInteractively().then((ip) => {
@@ -1,96 +1,218 @@
+import { systemClock } from './clock.js';
+import { applyGainDb } from './audio.js';
+import { resolveAudioSources } from './audioSources.js';
+import { VoiceActivityDetector } from './VoiceActivityDetector.js';
+import { LevelWindow } from './LevelWindow.js';
+import { findBleedSource, BLEED_MAX_SAMPLE_AGE_MS } from './bleed.js';
+
 /**
- * Rastrea niveles de audio por input: almacena muestras recientes y expone
- * qué cámaras tienen audio por encima del umbral (con hold time).
+ * Rastrea niveles de audio por fuente (ver lib/audioSources.js): guarda las muestras de
+ * los últimos detection.averageWindowMs (media para comparar niveles, ver lib/LevelWindow.js)
+ * y pasa cada una por el detector de voz de su fuente (histéresis con ataque/release,
+ * ver lib/VoiceActivityDetector.js).
+ * Por fuente: gainDb corrige el nivel; threshold y closeThreshold sustituyen a
+ * audio.volumeThreshold y al umbral de cierre (threshold × audio.closeRatio).
+ * Las muestras que son diafonía de otra fuente (ver lib/bleed.js) llegan al detector
+ * como silencio: solo cuenta como voz la de quien habla en su propio micro.
  */
 
 export class AudioLevelTracker {
   /**
-   * @param {object} config - CONFIG.audio y CONFIG.detection
-   * @param {object} cameraMapping - CONFIG.cameraMapping (solo inputs válidos)
+   * @param {object} config - CONFIG completo (audio, detection, cameraMapping, audioSources)
+   * @param {{ clock?: { now(): number } }} options - clock: marca de tiempo de las muestras sin timestamp
    */
-  constructor(config) {
-    this.config = config;
-    this.cameraMapping = config.cameraMapping;
-    /** @type {Map<number, Array<{ volume: number, db: number, timestamp: number, raw?: any }>>} */
-    this.levels = new Map();
+  constructor(config, { clock = systemClock } = {}) {
+    this.clock = clock;
+    /** @type {Map<number|string, LevelWindow>} */
+    this.windows = new Map();
+    /** @type {Map<number|string, VoiceActivityDetector>} */
+    this.vads = new Map();
     this.lastTimeAnyAudio = 0;
+    this.setConfig(config);
+  }
+
+  /**
+   * Aplica una configuración nueva (recarga en caliente) sin perder las muestras.
+   */
+  setConfig(config) {
+    this.config = config;
+    this.sources = resolveAudioSources(config);
+    for (const window of this.windows.values()) window.setWindow(config.detection.averageWindowMs);
+    for (const [sourceId, vad] of this.vads) vad.setOptions(this.getVadOptions(sourceId));
   }
 
   /**
-   * Registra una muestra de nivel para un input.
+   * Descarta todas las muestras (p. ej. tras una reconexión).
+   * @param {number} now - se toma como último momento con audio para no disparar "silencio" al instante
    */
-  store(inputId, normalizedLevel, db, raw = null) {
-    if (normalizedLevel > this.config.audio.volumeThreshold) {
-      this.lastTimeAnyAudio = Date.now();
+  reset(now) {
+    this.windows.clear();
+    this.vads.clear();
+    this.lastTimeAnyAudio = now;
+  }
+
+  /** Umbral de apertura ("empieza a hablar") de la fuente (su threshold o el general). */
+  getThreshold(sourceId) {
+    return this.sources.get(sourceId)?.threshold ?? this.config.audio.volumeThreshold;
+  }
+
+  getVadOptions(sourceId) {
+    const { closeRatio, holdTime, releaseMs } = this.config.audio;
+    const open = this.getThreshold(sourceId);
+    return {
+      open,
+      close: this.sources.get(sourceId)?.closeThreshold ?? open * closeRatio,
+      attackMs: holdTime,
+      releaseMs,
+    };
+  }
+
+  /** Detector de voz de la fuente (se crea con la primera muestra). */
+  getVad(sourceId) {
+    if (!this.vads.has(sourceId)) this.vads.set(sourceId, new VoiceActivityDetector(this.getVadOptions(sourceId)));
+    return this.vads.get(sourceId);
+  }
+
+  /**
+   * Registra una muestra de nivel para una fuente.
+   * Si la fuente tiene gainDb, el nivel normalizado se recalcula desde db + gainDb.
+   * @param {number|string} sourceId - input Fairlight (o "input:source", ver lib/audioSources.js)
+   * @param {number} normalizedLevel - de parseFairlightLevels()
+   * @param {number} db
+   * @param {number} timestamp - momento de la muestra (por defecto, el del reloj)
+   */
+  store(sourceId, normalizedLevel, db, timestamp = this.clock.now()) {
+    const { minDb, maxDb } = this.config.audio;
+    ({ db, normalized: normalizedLevel } = applyGainDb(db, normalizedLevel, this.sources.get(sourceId)?.gainDb, minDb, maxDb));
+    if (this.sources.has(sourceId)) {
+      const bleedFrom = this.findBleedSource(sourceId, db, timestamp);
+      this.getVad(sourceId).update(bleedFrom == null ? normalizedLevel : 0, timestamp);
+      if (normalizedLevel > this.getThreshold(sourceId)) this.lastTimeAnyAudio = timestamp;
     }
-    if (!this.levels.has(inputId)) {
-      this.levels.set(inputId, []);
+    if (!this.windows.has(sourceId)) {
+      this.windows.set(sourceId, new LevelWindow(this.config.detection.averageWindowMs));
     }
-    const list = this.levels.get(inputId);
-    list.push({
-      volume: normalizedLevel,
-      db,
-      timestamp: Date.now(),
-      raw,
-    });
-    const maxSamples = this.config.detection?.samplesForAverage ?? 30;
-    if (list.length > maxSamples) {
-      list.shift();
+    this.windows.get(sourceId).push(normalizedLevel, db, timestamp);
+  }
+
+  /**
+   * Fuente de la que `db` es diafonía, comparando con la última muestra reciente
+   * de las demás fuentes configuradas (null si es voz propia).
+   */
+  findBleedSource(sourceId, db, timestamp) {
+    const others = [];
+    for (const otherId of this.sources.keys()) {
+      const last = this.windows.get(otherId)?.last();
+      if (otherId === sourceId || !last || timestamp - last.timestamp > BLEED_MAX_SAMPLE_AGE_MS) continue;
+      others.push({ sourceId: otherId, db: last.db });
     }
+    const { bleedDominanceDb, bleedMarginDb } = this.config.audio;
+    return findBleedSource(sourceId, db, others, {
+      dominanceDb: bleedDominanceDb,
+      marginDb: bleedMarginDb,
+      matrix: this.config.bleedMatrix,
+    });
+  }
+
+  /** Media de la ventana de una fuente que acaba en `now` (0 si no hay muestras). */
+  getAverage(sourceId, now = this.clock.now()) {
+    return this.windows.get(sourceId)?.average(now) ?? 0;
   }
 
   /**
-   * Cámaras que superan umbral y hold time (candidatas a "hablando").
+   * Fuentes que están hablando según su detector de voz.
    * @param {number} now
-   * @returns {{ inputId: number, avgVolume: number, levels: Array }[]}
+   * @returns {{ sourceId: number|string, avgVolume: number, speakingSince: number }[]}
    */
-  getCamerasWithAudio(now) {
-    const { volumeThreshold, holdTime } = this.config.audio;
+  getSourcesWithAudio(now) {
     const result = [];
+    for (const [sourceId, vad] of this.vads) {
+      if (!this.sources.get(sourceId)?.cameras.length || !vad.isSpeaking(now)) continue;
+      result.push({
+        sourceId,
+        avgVolume: this.getAverage(sourceId, now),
+        speakingSince: vad.speakingSince,
+      });
+    }
+    return result;
+  }
 
-    for (const [key, list] of this.levels) {
-      const inputId = Number(key);
-      if (list.length === 0 || !this.cameraMapping[inputId]) continue;
-
-      const avgVolume = list.reduce((s, l) => s + l.volume, 0) / list.length;
-      if (avgVolume <= volumeThreshold) continue;
-
-      const timeSinceFirst = now - list[0].timestamp;
-      if (timeSinceFirst < holdTime) continue;
+  /** La fuente está hablando según su detector de voz (tenga cámara o no). */
+  isSpeaking(sourceId, now) {
+    return this.vads.get(sourceId)?.isSpeaking(now) ?? false;
+  }
 
-      result.push({ inputId, avgVolume, levels: list });
+  /**
+   * Desde cuándo la fuente es la única que habla: su comienzo o el final de la última
+   * voz de otra fuente, lo que sea más tarde.
+   * @returns {number|null} null si la fuente no habla
+   */
+  getSpeakingAloneSince(sourceId, now) {
+    const vad = this.vads.get(sourceId);
+    if (!vad?.isSpeaking(now)) return null;
+    let since = vad.speakingSince;
+    for (const [otherId, other] of this.vads) {
+      if (otherId === sourceId || !this.sources.get(otherId)?.cameras.length) continue;
+      if (other.isSpeaking(now)) return null;
+      if (other.silentSince != null) since = Math.max(since, other.silentSince);
     }
-
-    return result;
+    return since;
   }
 
   /**
-   * Para "una sola cámara hablando": la de mayor nivel que supere diferencia mínima respecto a la actual.
+   * Para "una sola persona hablando": la fuente de mayor nivel que supere diferencia mínima
+   * respecto a la cámara actual (el nivel más alto entre las fuentes que la usan).
+   * Si dos candidatas están a menos de minVolumeDifference, gana la de mayor priority.
    */
-  getBestSingleCamera(now, currentCameraId) {
-    const cameras = this.getCamerasWithAudio(now);
+  getBestSingleSource(now, currentCameraId) {
+    const candidates = this.getSourcesWithAudio(now);
     const { minVolumeDifference } = this.config.audio;
-    let maxVolume = 0;
+    const priority = (sourceId) => this.sources.get(sourceId)?.priority ?? 0;
+    let currentAvg = 0;
+    if (currentCameraId != null) {
+      for (const source of this.sources.values()) {
+        if (source.cameras.includes(currentCameraId)) currentAvg = Math.max(currentAvg, this.getAverage(source.id, now));
+      }
+    }
     let best = null;
 
-    for (const { inputId, avgVolume, levels } of cameras) {
-      if (currentCameraId != null) {
-        const currentList = this.levels.get(currentCameraId) || [];
-        const currentAvg =
-          currentList.length > 0
-            ? currentList.reduce((s, l) => s + l.volume, 0) / currentList.length
-            : 0;
-        if (avgVolume - currentAvg < minVolumeDifference) continue;
-      }
-      if (avgVolume > maxVolume) {
-        maxVolume = avgVolume;
-        best = { inputId, avgVolume, levels };
-      }
+    for (const { sourceId, avgVolume, speakingSince } of candidates) {
+      if (currentCameraId != null && avgVolume - currentAvg < minVolumeDifference) continue;
+      const wins =
+        !best ||
+        (Math.abs(avgVolume - best.avgVolume) < minVolumeDifference
+          ? priority(sourceId) > priority(best.sourceId) ||
+            (priority(sourceId) === priority(best.sourceId) && avgVolume > best.avgVolume)
+          : avgVolume > best.avgVolume);
+      if (wins) best = { sourceId, avgVolume, speakingSince };
     }
 
     return best;
   }
 
+  /**
+   * Estado actual por fuente configurada (para logs y la API de control).
+   * @returns {{ sourceId: number|string, name: string, cameras: number[], avgVolume: number, db: number, active: boolean }[]}
+   *   active: la fuente está hablando (detector de voz)
+   */
+  getLevelSnapshot(now = this.clock.now()) {
+    const result = [];
+    for (const [sourceId, window] of this.windows) {
+      const source = this.sources.get(sourceId);
+      if (!source) continue;
+      const avgVolume = window.average(now);
+      result.push({
+        sourceId,
+        name: source.name,
+        cameras: source.cameras,
+        avgVolume,
+        db: window.last()?.db ?? -Infinity,
+        active: this.vads.get(sourceId)?.isSpeaking(now) ?? false,
+      });
+    }
+    return result;
+  }
+
   /** Para logs: tiempo desde la última vez que alguien superó el umbral */
   getSilenceDuration(now) {
     return now - this.lastTimeAnyAudio;
@@ -0,0 +1,112 @@
+import { resolveAudioSources } from './audioSources.js';
+
+/** Cambio mínimo de ganancia (dB) que se envía al ATEM durante una rampa. */
+const STEP_DB = 1;
+
+/**
+ * Automixer (audio sigue a quien habla): baja automixer.depthDb la ganancia de las fuentes
+ * que no hablan según el detector de voz del tracker y la devuelve al empezar a hablar.
+ * Abre en automixer.attackMs y cierra en automixer.releaseMs (rampas lineales en dB). Si
+ * nadie habla, la última fuente que habló se queda abierta para que la sala no desaparezca;
+ * hasta que alguien habla por primera vez no se baja ninguna.
+ * update() devuelve la ganancia de cada fuente relativa a su fader (0 = sin bajar); la app
+ * la aplica con applyFaders().
+ */
+
+export class AutoMixer {
+  /**
+   * @param {object} config - CONFIG completo (usa automixer, cameraMapping y audioSources)
+   */
+  constructor(config) {
+    /** Ganancia actual por fuente (dB, <= 0) y la última enviada */
+    this.gains = new Map();
+    this.sent = new Map();
+    /** Última fuente que habló */
+    this.lastActive = null;
+    this.lastUpdate = null;
+    this.sources = [];
+    this.setConfig(config);
+  }
+
+  /**
+   * @returns {{ source: object, gainDb: number }[]} fuentes bajadas que deja de controlar
+   *   (quitadas, con otra entrada Fairlight o con el automixer desactivado), a 0 dB
+   */
+  setConfig(config) {
+    const previous = this.sources;
+    this.options = config.automixer;
+    const only = this.options.sources;
+    /** Fuentes controladas: las de quien sale en cámara, o las de automixer.sources */
+    this.sources = this.options.enabled
+      ? [...resolveAudioSources(config).values()].filter((source) =>
+          only ? only.includes(source.id) : source.cameras.length > 0
+        )
+      : [];
+    const key = (source) => `${source.id}|${source.input}|${source.source}`;
+    const kept = new Set(this.sources.map(key));
+    const released = previous.filter((source) => !kept.has(key(source)) && this.appliedGain(source.id) !== 0);
+    for (const source of previous.filter((s) => !kept.has(key(s)))) {
+      this.gains.delete(source.id);
+      this.sent.delete(source.id);
+      if (this.lastActive === source.id) this.lastActive = null;
+    }
+    if (!this.options.enabled) this.lastUpdate = null;
+    return released.map((source) => ({ source, gainDb: 0 }));
+  }
+
+  get enabled() {
+    return this.options.enabled;
+  }
+
+  /**
+   * @param {Set<number|string>} speaking - ids de las fuentes que hablan
+   * @param {number} now
+   * @returns {{ source: object, gainDb: number }[]} ganancias que han cambiado
+   */
+  update(speaking, now) {
+    const elapsed = this.lastUpdate == null ? 0 : now - this.lastUpdate;
+    this.lastUpdate = now;
+    const active = this.sources.filter((source) => speaking.has(source.id));
+    if (active.length) this.lastActive = active[active.length - 1].id;
+
+    const { depthDb, attackMs, releaseMs } = this.options;
+    const changes = [];
+    for (const source of this.sources) {
+      const open =
+        speaking.has(source.id) || (active.length === 0 && (this.lastActive == null || source.id === this.lastActive));
+      const target = open ? 0 : -depthDb;
+      const current = this.gains.get(source.id) ?? 0;
+      const rampMs = open ? attackMs : releaseMs;
+      const step = rampMs > 0 ? (depthDb * elapsed) / rampMs : depthDb;
+      const gainDb = current < target ? Math.min(target, current + step) : Math.max(target, current - step);
+      this.gains.set(source.id, gainDb);
+
+      const sent = this.sent.get(source.id) ?? 0;
+      if (gainDb !== sent && (Math.abs(gainDb - sent) >= STEP_DB || gainDb === target)) {
+        this.sent.set(source.id, gainDb);
+        changes.push({ source, gainDb });
+      }
+    }
+    return changes;
+  }
+
+  /** Ganancia ya enviada al fader de la fuente (dB, 0 si no se ha bajado). */
+  appliedGain(sourceId) {
+    return this.sent.get(sourceId) ?? 0;
+  }
+
+  /**
+   * Vuelve a 0 dB todas las fuentes bajadas (al desactivarlo o al salir).
+   * @returns {{ source: object, gainDb: number }[]}
+   */
+  restore() {
+    const changes = this.sources
+      .filter((source) => (this.sent.get(source.id) ?? 0) !== 0)
+      .map((source) => ({ source, gainDb: 0 }));
+    this.gains.clear();
+    this.sent.clear();
+    this.lastActive = null;
+    this.lastUpdate = null;
+    return changes;
+  }
+}
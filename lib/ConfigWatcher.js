@@ -0,0 +1,41 @@
+/**
+ * Vigila el archivo de configuración y avisa cuando cambia.
+ * Usa fs.watchFile (sondeo) porque muchos editores guardan reemplazando el
+ * archivo, y fs.watch deja de ver el original en ese caso.
+ */
+
+import fs from 'fs';
+
+export class ConfigWatcher {
+  /**
+   * @param {string} filePath
+   * @param {() => void} onChange - se llama una vez por ráfaga de cambios
+   * @param {{ intervalMs?: number, debounceMs?: number }} options
+   */
+  constructor(filePath, onChange, { intervalMs = 500, debounceMs = 300 } = {}) {
+    this.filePath = filePath;
+    this.onChange = onChange;
+    this.intervalMs = intervalMs;
+    this.debounceMs = debounceMs;
+    this.timer = null;
+    this.listener = null;
+  }
+
+  start() {
+    if (this.listener) return;
+    this.listener = (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+      // Archivo borrado a mitad de un guardado: esperar a que vuelva a existir
+      if (curr.nlink === 0) return;
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.onChange(), this.debounceMs);
+    };
+    fs.watchFile(this.filePath, { interval: this.intervalMs }, this.listener);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    if (this.listener) fs.unwatchFile(this.filePath, this.listener);
+    this.listener = null;
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * API local de control: HTTP (estado y comandos) + WebSocket (niveles y cortes en vivo).
+ *
+ *   GET  /status          estado del switcher (conexión, cámara, corte pendiente, niveles)
+ *   POST /pause           suspende el auto-switch sin límite
+ *   POST /resume          reanuda el auto-switch (quita lock o suspensión)
+ *   POST /lock            { "inputId": 2, "durationMs"?: 30000 } fija una cámara
+ *   POST /suspend         { "durationMs"?: 60000, "resumeAfterSilenceMs"?: 5000 } suspende el auto
+ *   POST /release         quita lock o suspensión
+ *   POST /camera          { "inputId": 2 } corta a esa cámara
+ *   POST /wide            { "inputId": 3 } cambia la cámara amplia (null = sin amplia)
+ *   POST /preset          { "name": "interview" } cambia el preset de decisión (null = el del archivo)
+ *   WS   /events          mensajes { type, data }: 'status', 'levels' y los eventos de FORWARDED_EVENTS
+ */
+
+import http from 'http';
+import { WebSocketServer } from 'ws';
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+/** Eventos de AtemAutoSwitch que se reenvían tal cual por WebSocket. */
+const FORWARDED_EVENTS = ['cut', 'override', 'manualCut', 'suggestion'];
+
+/** Error de petición: se responde con su status HTTP. */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Cuerpo demasiado grande'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body.trim()) return resolve({});
+      let data;
+      try {
+        data = JSON.parse(body);
+      } catch (_) {
+        return reject(new HttpError(400, 'JSON inválido'));
+      }
+      // Los handlers leen campos del cuerpo: null, arrays o números no valen
+      if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        return reject(new HttpError(400, 'JSON object expected'));
+      }
+      resolve(data);
+    });
+    req.on('error', reject);
+  });
+}
+
+/** JSON.stringify con -Infinity (dB en silencio) como null. */
+function toJson(value) {
+  return JSON.stringify(value, (_k, v) => (typeof v === 'number' && !Number.isFinite(v) ? null : v));
+}
+
+export class ControlServer {
+  /**
+   * @param {import('events').EventEmitter & object} app - instancia de AtemAutoSwitch
+   * @param {{ host: string, port: number, levelsIntervalMs: number }} options - CONFIG.api
+   */
+  constructor(app, { host, port, levelsIntervalMs }) {
+    this.app = app;
+    this.host = host;
+    this.port = port;
+    this.levelsIntervalMs = levelsIntervalMs;
+    this.server = null;
+    this.wss = null;
+    this.levelsTimer = null;
+    this.onStatus = () => this.broadcast('status', this.app.getStatus());
+    this.forwarders = Object.fromEntries(
+      FORWARDED_EVENTS.map((type) => [type, (data) => this.broadcast(type, data)])
+    );
+  }
+
+  /**
+   * Rutas: "MÉTODO /ruta" → handler(body) que devuelve el JSON de respuesta.
+   */
+  routes() {
+    return {
+      'GET /status': () => this.app.getStatus(),
+      'POST /pause': () => {
+        this.app.pause();
+        return this.app.getStatus();
+      },
+      'POST /resume': () => {
+        this.app.resume();
+        return this.app.getStatus();
+      },
+      'POST /lock': (body) => {
+        this.app.lockCamera(body.inputId, { durationMs: body.durationMs ?? null });
+        return this.app.getStatus();
+      },
+      'POST /suspend': (body) => {
+        this.app.suspendAuto({
+          durationMs: body.durationMs ?? null,
+          // Sin valor en la petición: CONFIG.override.resumeAfterSilenceMs
+          resumeAfterSilenceMs:
+            body.resumeAfterSilenceMs !== undefined
+              ? body.resumeAfterSilenceMs
+              : this.app.config.override.resumeAfterSilenceMs,
+        });
+        return this.app.getStatus();
+      },
+      'POST /release': () => {
+        this.app.releaseOverride();
+        return this.app.getStatus();
+      },
+      'POST /camera': (body) => {
+        this.app.forceCamera(body.inputId);
+        return this.app.getStatus();
+      },
+      'POST /wide': (body) => {
+        this.app.setWideCamera(body.inputId);
+        return this.app.getStatus();
+      },
+      'POST /preset': (body) => {
+        this.app.setPreset(body.name ?? null);
+        return this.app.getStatus();
+      },
+    };
+  }
+
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const handler = this.routes()[`${req.method} ${pathname}`];
+    try {
+      if (!handler) throw new HttpError(404, `No existe ${req.method} ${pathname}`);
+      const body = req.method === 'POST' ? await readJsonBody(req) : {};
+      const result = await handler(body);
+      this.send(res, 200, result);
+    } catch (err) {
+      // Los errores de validación del switcher (input no configurado…) son del cliente
+      this.send(res, err.status ?? 400, { error: err.message });
+    }
+  }
+
+  send(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(toJson(data));
+  }
+
+  broadcast(type, data) {
+    if (!this.wss || this.wss.clients.size === 0) return;
+    const message = toJson({ type, data });
+    for (const client of this.wss.clients) {
+      if (client.readyState === client.OPEN) client.send(message);
+    }
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.wss = new WebSocketServer({ server: this.server, path: '/events' });
+      this.wss.on('connection', (ws) => {
+        ws.send(toJson({ type: 'status', data: this.app.getStatus() }));
+      });
+
+      this.app.on('status', this.onStatus);
+      for (const [type, fn] of Object.entries(this.forwarders)) this.app.on(type, fn);
+      this.levelsTimer = setInterval(() => {
+        this.broadcast('levels', this.app.getLevels());
+      }, this.levelsIntervalMs);
+
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    clearInterval(this.levelsTimer);
+    this.app.off('status', this.onStatus);
+    for (const [type, fn] of Object.entries(this.forwarders)) this.app.off(type, fn);
+    if (this.wss) {
+      for (const client of this.wss.clients) client.terminate();
+      this.wss.close();
+    }
+    if (this.server) this.server.close();
+  }
+}
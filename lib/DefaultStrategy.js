@@ -0,0 +1,276 @@
+import { resolveAudioSources } from './audioSources.js';
+
+/**
+ * Estrategia por defecto del SwitchDecider (`strategies: ['default']`, ver lib/strategies.js):
+ * - Silencio prolongado → cámara amplia (rotando con los planos de grupo de groupShots), o
+ *   las diapositivas (slidesCameraId) con silenceTo: 'slides'
+ * - 2+ fuentes con audio → el plano de grupo más cerrado que las incluya a todas, o la amplia;
+ *   con multiLayout, el layout (PiP / SuperSource, ver lib/MultiLayout.js)
+ * - 1 fuente con audio → su cámara (rotando entre sus ángulos si tiene varias); desde el
+ *   plano, solo cuando lleva wideHoldBeforeSingleMs hablando sola
+ * - 1 fuente con audio durante cutaway.maxShotMs en su cámara → recurso (cámara de quien
+ *   escucha o amplia) durante cutaway.durationMs y vuelta a quien habla
+ * Por fuente: priority (mayor gana empates; si la cámara actual es de la fuente con más
+ * prioridad entre las que hablan, 2+ no va a amplia). Por cámara: cutaway: false (ni se sale
+ * de ella ni se usa como recurso).
+ */
+
+/**
+ * La cámara es la amplia, un plano de grupo o el layout de la configuración.
+ * @param {object} config
+ * @param {number} cameraId
+ */
+export function isGroupShotCamera(config, cameraId) {
+  return (
+    cameraId === config.wideCameraId ||
+    cameraId === layoutCamera(config) ||
+    (config.groupShots ?? []).some((shot) => shot.camera === cameraId)
+  );
+}
+
+/** Id del layout para 2+ hablando (multiLayout), o null con mode 'wide'. */
+export function layoutCamera(config) {
+  const layout = config.multiLayout;
+  return layout && layout.mode !== 'wide' && config.cameraMapping[layout.camera] ? layout.camera : null;
+}
+
+export class DefaultStrategy {
+  /**
+   * @param {object} config - CONFIG completo (audio, wideCameraId, silenceToWideMs, cameraMapping, audioSources)
+   */
+  constructor(config) {
+    this.name = 'default';
+    /** Último ángulo en programa de cada fuente con varias cámaras (para rotar) */
+    this.lastAngle = new Map();
+    /** Recurso propuesto o en programa: { sourceId, from, cameraId, since } (since: null hasta salir al aire) */
+    this.cutaway = null;
+    /** El recurso está en programa y aún no ha cumplido cutaway.durationMs */
+    this.onCutaway = false;
+    /** Cuándo salió al aire el último recurso (0 = ninguno) */
+    this.lastCutawayAt = 0;
+    /** Última cámara usada como recurso (para rotar entre quienes escuchan) */
+    this.lastCutawayCamera = null;
+    /** Plano de silencio propuesto (hasta salir al aire) y el último que salió */
+    this.pendingSilenceShot = null;
+    this.lastSilenceShot = null;
+    this.setConfig(config);
+  }
+
+  /**
+   * Aplica una configuración nueva (recarga en caliente).
+   */
+  setConfig(config) {
+    this.config = config;
+    this.wideId = config.wideCameraId;
+    this.wideConfig =
+      Number.isFinite(this.wideId) && config.cameraMapping[this.wideId];
+    this.sources = resolveAudioSources(config);
+    this.groupShots = (config.groupShots ?? []).filter((shot) => config.cameraMapping[shot.camera]);
+    /** Planos entre los que se rota en silencio: la amplia y los de grupo que lo permiten (o las diapositivas) */
+    this.silenceShots =
+      config.silenceTo === 'slides' && config.cameraMapping[config.slidesCameraId]
+        ? [config.slidesCameraId]
+        : [
+            ...(this.wideConfig ? [this.wideId] : []),
+            ...this.groupShots.filter((shot) => shot.silence !== false).map((shot) => shot.camera),
+          ];
+  }
+
+  /** La cámara es la amplia o un plano de grupo. */
+  isGroupShot(cameraId) {
+    return isGroupShotCamera(this.config, cameraId);
+  }
+
+  /**
+   * Cada tick, proponga o no: qué ángulo, recurso y plano de silencio están en programa.
+   */
+  update({ sourcesWithAudio, currentCameraId, now, lastSwitchTime }) {
+    this.rememberAngle(currentCameraId);
+    this.onCutaway = this.trackCutaway(currentCameraId, sourcesWithAudio, now, lastSwitchTime);
+    if (this.pendingSilenceShot != null && currentCameraId === this.pendingSilenceShot) {
+      this.lastSilenceShot = currentCameraId;
+      this.pendingSilenceShot = null;
+    }
+  }
+
+  /**
+   * Candidato según las reglas de la cabecera, o null si no hay que cortar.
+   */
+  propose({ tracker, sourcesWithAudio, silenceDuration, currentCameraId, now, lastSwitchTime }) {
+    // Silencio → cámara amplia (o el siguiente plano de grupo)
+    if (
+      sourcesWithAudio.length === 0 &&
+      this.silenceShots.length > 0 &&
+      !this.silenceShots.includes(currentCameraId) &&
+      tracker.lastTimeAnyAudio > 0 &&
+      silenceDuration >= this.config.silenceToWideMs
+    ) {
+      return {
+        switchTo: this.nextSilenceShot(),
+        reason: 'silence',
+        silenceDuration,
+      };
+    }
+
+    // 2+ hablan → plano de grupo (salvo que la actual sea la de más prioridad entre ellos)
+    const groupShot = sourcesWithAudio.length >= 2 ? this.groupShotFor(sourcesWithAudio, currentCameraId) : null;
+    if (groupShot != null && currentCameraId !== groupShot && !this.outranksOthers(currentCameraId, sourcesWithAudio)) {
+      return {
+        switchTo: groupShot,
+        reason: 'multi',
+        cameraNames: sourcesWithAudio.map((s) => this.sources.get(s.sourceId)?.name),
+      };
+    }
+
+    // Durante un recurso se espera a que cumpla su duración antes de volver
+    if (this.onCutaway) return null;
+
+    // 1 fuente hablando (solo si realmente hay exactamente una con audio; si hay 2+ no considerar "single")
+    if (sourcesWithAudio.length === 1) {
+      const best = tracker.getBestSingleSource(now, currentCameraId);
+      const cameras = best ? this.sources.get(best.sourceId)?.cameras ?? [] : [];
+      // Desde el plano, solo cuando lleva wideHoldBeforeSingleMs hablando sola
+      const wideHoldMs = this.isGroupShot(currentCameraId) ? (this.config.audio.wideHoldBeforeSingleMs ?? 0) : 0;
+      const aloneSince = best ? tracker.getSpeakingAloneSince(best.sourceId, now) : null;
+      if (cameras.length && !cameras.includes(currentCameraId) && aloneSince != null && now - aloneSince >= wideHoldMs) {
+        return {
+          switchTo: this.nextAngle(best.sourceId, cameras),
+          reason: 'single',
+          sourceId: best.sourceId,
+          speakingSince: best.speakingSince,
+          avgVolume: best.avgVolume,
+        };
+      }
+    }
+
+    // Mucho tiempo en el plano de quien habla solo → recurso
+    return this.proposeCutaway(currentCameraId, sourcesWithAudio, now, lastSwitchTime);
+  }
+
+  /**
+   * Sigue el recurso propuesto: anota cuándo salió al aire y lo descarta si se cortó a
+   * otra cámara, si cumplió su duración o si ya no habla solo quien lo motivó.
+   * @returns {boolean} el recurso está en programa y aún no ha cumplido cutaway.durationMs
+   */
+  trackCutaway(currentCameraId, sourcesWithAudio, now, lastSwitchTime) {
+    const cutaway = this.cutaway;
+    if (!cutaway) return false;
+    const soleSpeaker = sourcesWithAudio.length === 1 && sourcesWithAudio[0].sourceId === cutaway.sourceId;
+    if (currentCameraId === cutaway.cameraId) {
+      if (cutaway.since == null) {
+        cutaway.since = lastSwitchTime;
+        this.lastCutawayAt = lastSwitchTime;
+        this.lastCutawayCamera = cutaway.cameraId;
+      }
+      if (soleSpeaker && now - cutaway.since < this.config.cutaway.durationMs) return true;
+      this.cutaway = null;
+      return false;
+    }
+    if (cutaway.since != null || currentCameraId !== cutaway.from || !soleSpeaker) this.cutaway = null;
+    return false;
+  }
+
+  /**
+   * Recurso si la cámara actual es de la única fuente que habla, lleva cutaway.maxShotMs
+   * en programa y pasó cutaway.minIntervalMs desde el anterior.
+   */
+  proposeCutaway(currentCameraId, sourcesWithAudio, now, lastSwitchTime) {
+    const { maxShotMs, minIntervalMs } = this.config.cutaway;
+    if (!maxShotMs || sourcesWithAudio.length !== 1 || lastSwitchTime <= 0) return null;
+    const { sourceId } = sourcesWithAudio[0];
+    const speaker = this.sources.get(sourceId);
+    if (!speaker?.cameras.includes(currentCameraId) || !this.allowsCutaway(currentCameraId)) return null;
+    if (now - lastSwitchTime < maxShotMs) return null;
+    if (this.lastCutawayAt > 0 && now - this.lastCutawayAt < minIntervalMs) return null;
+
+    // La cámara se elige una vez: el retraso del corte necesita el mismo destino en cada tick
+    if (this.cutaway?.sourceId !== sourceId || this.cutaway.from !== currentCameraId) {
+      const cameraId = this.cutawayCamera(speaker);
+      if (cameraId == null) return null;
+      this.cutaway = { sourceId, from: currentCameraId, cameraId, since: null };
+    }
+    return {
+      switchTo: this.cutaway.cameraId,
+      reason: 'cutaway',
+      sourceId,
+      shotMs: now - lastSwitchTime,
+    };
+  }
+
+  /** Cámara del recurso: la de alguien que escucha (rotando entre ellas) o la amplia. */
+  cutawayCamera(speaker) {
+    if (this.config.cutaway.target === 'listener') {
+      const listeners = [];
+      for (const source of this.sources.values()) {
+        if (source.id === speaker.id) continue;
+        for (const cam of source.cameras) {
+          const usable =
+            !this.isGroupShot(cam) &&
+            cam !== this.config.slidesCameraId &&
+            !speaker.cameras.includes(cam) &&
+            this.allowsCutaway(cam);
+          if (usable && !listeners.includes(cam)) listeners.push(cam);
+        }
+      }
+      if (listeners.length) {
+        const last = listeners.indexOf(this.lastCutawayCamera);
+        return listeners[(last + 1) % listeners.length];
+      }
+    }
+    return this.wideConfig && this.allowsCutaway(this.wideId) ? this.wideId : null;
+  }
+
+  allowsCutaway(cameraId) {
+    return this.config.cameraMapping[cameraId]?.cutaway !== false;
+  }
+
+  /**
+   * Plano para 2+ hablando: el layout si lo hay; si no, de los planos de grupo que incluyen
+   * a todas (alguna de sus cámaras está en covers), el más cerrado (menos personas); si
+   * ninguno, la amplia. A igualdad se queda en la cámara actual o gana el primero de la lista.
+   * @returns {number|null} null si no hay plano posible
+   */
+  groupShotFor(sourcesWithAudio, currentCameraId) {
+    const layout = layoutCamera(this.config);
+    if (layout != null) return layout;
+    const speakers = sourcesWithAudio.map((s) => this.sources.get(s.sourceId)).filter(Boolean);
+    const eligible = this.groupShots.filter((shot) =>
+      speakers.every((speaker) => speaker.cameras.some((cam) => shot.covers.includes(cam)))
+    );
+    if (eligible.length === 0) return this.wideConfig ? this.wideId : null;
+    const tightest = Math.min(...eligible.map((shot) => shot.covers.length));
+    const best = eligible.filter((shot) => shot.covers.length === tightest);
+    return (best.find((shot) => shot.camera === currentCameraId) ?? best[0]).camera;
+  }
+
+  /** Plano para el silencio: el siguiente de silenceShots tras el último que salió (fijo hasta que salga). */
+  nextSilenceShot() {
+    if (this.pendingSilenceShot == null || !this.silenceShots.includes(this.pendingSilenceShot)) {
+      const last = this.silenceShots.indexOf(this.lastSilenceShot);
+      this.pendingSilenceShot = this.silenceShots[(last + 1) % this.silenceShots.length];
+    }
+    return this.pendingSilenceShot;
+  }
+
+  /** La cámara es de una fuente que habla y tiene más prioridad que cada una de las demás que hablan. */
+  outranksOthers(cameraId, sourcesWithAudio) {
+    const speakers = sourcesWithAudio.map((s) => this.sources.get(s.sourceId)).filter(Boolean);
+    const onCamera = speakers.filter((s) => s.cameras.includes(cameraId));
+    if (onCamera.length === 0) return false;
+    const top = Math.max(...onCamera.map((s) => s.priority));
+    return speakers.every((s) => s.cameras.includes(cameraId) || s.priority < top);
+  }
+
+  /** Anota qué ángulo está en programa para cada fuente que lo usa. */
+  rememberAngle(cameraId) {
+    for (const source of this.sources.values()) {
+      if (source.cameras.length > 1 && source.cameras.includes(cameraId)) this.lastAngle.set(source.id, cameraId);
+    }
+  }
+
+  /** Siguiente ángulo de la fuente tras el último que estuvo en programa. */
+  nextAngle(sourceId, cameras) {
+    const last = cameras.indexOf(this.lastAngle.get(sourceId));
+    return cameras[(last + 1) % cameras.length];
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Ventana temporal de muestras de nivel de una fuente: buffer circular con suma
+ * acumulada, así la media cuesta O(1) y la ventana dura lo mismo (windowMs)
+ * llegue una muestra cada 20 ms o cada 100 ms.
+ * Una muestra con el mismo timestamp que la última la sustituye (duplicados).
+ */
+
+const INITIAL_CAPACITY = 32;
+
+export class LevelWindow {
+  /**
+   * @param {number} windowMs - antigüedad máxima de las muestras (ms)
+   */
+  constructor(windowMs) {
+    this.windowMs = windowMs;
+    this.volumes = new Float64Array(INITIAL_CAPACITY);
+    this.dbs = new Float64Array(INITIAL_CAPACITY);
+    this.timestamps = new Float64Array(INITIAL_CAPACITY);
+    /** Índice de la muestra más antigua */
+    this.head = 0;
+    this.length = 0;
+    /** Suma de volumes de las muestras en la ventana */
+    this.sum = 0;
+  }
+
+  setWindow(windowMs) {
+    this.windowMs = windowMs;
+  }
+
+  clear() {
+    this.head = 0;
+    this.length = 0;
+    this.sum = 0;
+  }
+
+  /** Índice en los arrays de la muestra i (0 = la más antigua). */
+  index(i) {
+    return (this.head + i) % this.volumes.length;
+  }
+
+  /**
+   * @param {number} volume - nivel normalizado 0-1
+   * @param {number} db
+   * @param {number} timestamp - no decreciente
+   */
+  push(volume, db, timestamp) {
+    if (this.length > 0) {
+      const last = this.index(this.length - 1);
+      if (this.timestamps[last] === timestamp) {
+        this.sum += volume - this.volumes[last];
+        this.volumes[last] = volume;
+        this.dbs[last] = db;
+        return;
+      }
+    }
+    this.evict(timestamp);
+    if (this.length === this.volumes.length) this.grow();
+    const i = this.index(this.length);
+    this.volumes[i] = volume;
+    this.dbs[i] = db;
+    this.timestamps[i] = timestamp;
+    this.length++;
+    this.sum += volume;
+  }
+
+  /** Descarta las muestras con más de windowMs respecto a `now`. */
+  evict(now) {
+    const oldest = now - this.windowMs;
+    while (this.length > 0 && this.timestamps[this.head] <= oldest) {
+      this.sum -= this.volumes[this.head];
+      this.head = (this.head + 1) % this.volumes.length;
+      this.length--;
+    }
+    // Sin muestras la suma vuelve a 0 exacto (sin error de coma flotante acumulado)
+    if (this.length === 0) this.sum = 0;
+  }
+
+  /** Duplica la capacidad (solo si llegan más muestras por ventana de las previstas). */
+  grow() {
+    const capacity = this.volumes.length;
+    for (const key of ['volumes', 'dbs', 'timestamps']) {
+      const next = new Float64Array(capacity * 2);
+      for (let i = 0; i < this.length; i++) next[i] = this[key][(this.head + i) % capacity];
+      this[key] = next;
+    }
+    this.head = 0;
+  }
+
+  /** Media de los niveles en la ventana que acaba en `now` (0 si no hay muestras). */
+  average(now) {
+    this.evict(now);
+    return this.length > 0 ? this.sum / this.length : 0;
+  }
+
+  /** @returns {{ volume: number, db: number, timestamp: number } | null} la muestra más reciente */
+  last() {
+    if (this.length === 0) return null;
+    const i = this.index(this.length - 1);
+    return { volume: this.volumes[i], db: this.dbs[i], timestamp: this.timestamps[i] };
+  }
+}
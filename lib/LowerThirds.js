@@ -0,0 +1,99 @@
+import { resolveAudioSources } from './audioSources.js';
+
+/**
+ * Rótulos (lower thirds) en un downstream keyer: al cortar por primera vez a quien habla
+ * (o tras lowerThirds.repeatAfterMs sin salir en programa) se pone el rótulo de su cámara
+ * (cameraMapping.N.lowerThird: still del media pool o macro) y se quita a los
+ * lowerThirds.durationMs. Nada se pone ni se quita mientras hay una transición en curso.
+ * update() devuelve en cada tick el rótulo a poner o quitar; lo envía runLowerThird() de la app.
+ */
+
+export class LowerThirds {
+  /**
+   * @param {object} config - CONFIG completo (usa lowerThirds y cameraMapping)
+   */
+  constructor(config) {
+    /** Rótulo programado tras un corte: { cameraId, at } */
+    this.pending = null;
+    /** Rótulo en el aire: { cameraId, until } */
+    this.onAir = null;
+    /** Por persona (fuente de audio o cámara): cuándo salió su rótulo por última vez */
+    this.shownAt = new Map();
+    /** Por persona: última vez que estuvo en programa */
+    this.lastSeen = new Map();
+    this.setConfig(config);
+  }
+
+  setConfig(config) {
+    this.config = config;
+    this.options = config.lowerThirds;
+    this.sources = resolveAudioSources(config);
+  }
+
+  /** Persona que sale en la cámara: su fuente de audio, o la propia cámara si no es de ninguna. */
+  speakerOf(cameraId) {
+    for (const source of this.sources.values()) {
+      if (source.cameras.includes(cameraId)) return source.id;
+    }
+    return `cam:${cameraId}`;
+  }
+
+  /**
+   * Corte enviado a cameraId. Programa el rótulo si es el primer corte a quien habla
+   * (reason 'single') o lleva repeatAfterMs sin salir.
+   * @returns {boolean} hay que quitar ya el rótulo que está en el aire (es de otra cámara)
+   */
+  onCut(cameraId, reason, now) {
+    this.pending = null;
+    const hide = this.onAir != null && this.onAir.cameraId !== cameraId;
+    if (hide) this.onAir = null;
+    if (this.shouldShow(cameraId, reason, now)) this.pending = { cameraId, at: now + this.options.delayMs };
+    return hide;
+  }
+
+  shouldShow(cameraId, reason, now) {
+    if (!this.options.enabled || reason !== 'single' || !this.config.cameraMapping[cameraId]?.lowerThird) return false;
+    const speaker = this.speakerOf(cameraId);
+    if (!this.shownAt.has(speaker)) return true;
+    const { repeatAfterMs } = this.options;
+    const lastSeen = this.lastSeen.get(speaker) ?? this.shownAt.get(speaker);
+    return repeatAfterMs > 0 && now - lastSeen >= repeatAfterMs;
+  }
+
+  /**
+   * @param {number} now
+   * @param {{ programInput: number|null, inTransition: boolean }} program - estado del ATEM
+   * @returns {null | { type: 'show', cameraId: number, lowerThird: object } | { type: 'hide', cameraId: number }}
+   */
+  update(now, { programInput, inTransition }) {
+    if (programInput != null) this.lastSeen.set(this.speakerOf(programInput), now);
+    if (inTransition) return null;
+
+    const onAir = this.onAir;
+    if (onAir && (now >= onAir.until || programInput !== onAir.cameraId)) {
+      this.onAir = null;
+      return { type: 'hide', cameraId: onAir.cameraId };
+    }
+
+    const pending = this.pending;
+    if (!pending || now < pending.at) return null;
+    this.pending = null;
+    // El corte no llegó al programa o ya se cortó a otra cámara
+    const lowerThird = this.config.cameraMapping[pending.cameraId]?.lowerThird;
+    if (programInput !== pending.cameraId || !lowerThird) return null;
+    this.onAir = { cameraId: pending.cameraId, until: now + this.options.durationMs };
+    this.shownAt.set(this.speakerOf(pending.cameraId), now);
+    return { type: 'show', cameraId: pending.cameraId, lowerThird };
+  }
+
+  /** Olvida el rótulo programado tras el último corte. */
+  cancelPending() {
+    this.pending = null;
+  }
+
+  /** Olvida el rótulo programado y el que está en el aire (reconexión). */
+  reset() {
+    this.pending = null;
+    this.onAir = null;
+  }
+}
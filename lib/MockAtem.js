@@ -0,0 +1,461 @@
+/**
+ * ATEM simulado: misma interfaz que `Atem` de atem-connection en lo que usa el
+ * auto-switch (eventos connected/disconnected/stateChanged/levelChanged/receivedCommands,
+ * cambios de programa/preview, auto transition con estilo y rate, rótulos en el DSK, USK,
+ * SuperSource y faders Fairlight) para ejecutar la app sin hardware.
+ *
+ * Los niveles salen de un escenario: guion JSON/YAML o una sesión grabada con --record.
+ *
+ *   # escenario.yaml
+ *   inputs: [1, 2, 3, 4]
+ *   loop: true
+ *   steps:
+ *     - { durationMs: 5000, talking: { 1: -12 } }          # dB por input; el resto en silencio
+ *     - { durationMs: 1000, talking: { 1: -12, 2: -15 } }
+ *     - { durationMs: 3000 }                               # silencio
+ *     - { program: 2 }                                     # corte manual del operador
+ *     - { take: true }                                     # el operador pulsa CUT (preview → programa)
+ *     - { disconnectMs: 8000 }                             # caída de la conexión
+ */
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import { readConfigFile } from './configLoader.js';
+import { readSession } from './replay.js';
+
+/** Nivel de los inputs sin voz (dB). */
+const SILENCE_DB = -60;
+/** Cada cuánto emite niveles el ATEM real (aprox.). */
+const LEVEL_INTERVAL_MS = 50;
+/** Latencia simulada de handshake y de respuesta a comandos. */
+const LATENCY_MS = 20;
+/** Fuente Fairlight estéreo por defecto de cada input. */
+const DEFAULT_SOURCE = -65280n;
+
+/** Imita el comando FMLv de atem-connection (se detecta por rawName). */
+class FairlightMixerSourceLevelsUpdateCommand {
+  static rawName = 'FMLv';
+
+  constructor(index, source, properties) {
+    this.index = index;
+    this.source = source;
+    this.properties = properties;
+  }
+}
+
+/**
+ * Convierte un escenario en una línea de tiempo de acciones.
+ * @param {object} scenario - { steps, inputs?, loop? } (ver cabecera)
+ * @returns {{ inputs: number[], loop: boolean, durationMs: number, actions: object[] }}
+ *   actions: { at, type: 'levels', levels: { [inputId]: db } } | { at, type: 'program', inputId }
+ *          | { at, type: 'take' } | { at, type: 'disconnect', durationMs }
+ */
+export function compileScenario(scenario) {
+  const steps = Array.isArray(scenario?.steps) ? scenario.steps : [];
+  const inputs = new Set((scenario?.inputs ?? []).map(Number));
+  const actions = [];
+  let at = 0;
+
+  steps.forEach((step, i) => {
+    if (step.program != null) {
+      actions.push({ at, type: 'program', inputId: Number(step.program) });
+    }
+    if (step.take) actions.push({ at, type: 'take' });
+    if (step.disconnectMs != null) {
+      actions.push({ at, type: 'disconnect', durationMs: Number(step.disconnectMs) });
+      at += Number(step.disconnectMs);
+    }
+    const durationMs = Number(step.durationMs ?? 0);
+    if (!(durationMs >= 0)) throw new Error(`Escenario: paso ${i + 1} con durationMs inválido`);
+    if (durationMs > 0 || step.talking) {
+      const levels = {};
+      for (const [id, db] of Object.entries(step.talking ?? {})) {
+        inputs.add(Number(id));
+        levels[Number(id)] = Number(db);
+      }
+      actions.push({ at, type: 'levels', levels });
+      at += durationMs;
+    }
+  });
+
+  return { inputs: [...inputs].sort((a, b) => a - b), loop: scenario?.loop ?? true, durationMs: at, actions };
+}
+
+/**
+ * Convierte una sesión grabada (SessionRecorder) en línea de tiempo: cada muestra
+ * se emite en su instante y los cortes del operador pasan a ser cortes en el ATEM.
+ */
+export function sessionToTimeline({ events }) {
+  const t0 = events[0]?.t ?? 0;
+  const inputs = new Set();
+  const actions = [];
+  for (const e of events) {
+    if (e.type === 'sample') {
+      inputs.add(e.inputId);
+      actions.push({ at: e.t - t0, type: 'sample', inputId: e.inputId, db: e.db ?? -Infinity });
+    } else if (e.type === 'cut' && e.source === 'operator') {
+      actions.push({ at: e.t - t0, type: 'program', inputId: e.inputId });
+    }
+  }
+  const durationMs = actions.length ? actions[actions.length - 1].at : 0;
+  return { inputs: [...inputs].sort((a, b) => a - b), loop: false, durationMs, actions, recorded: true };
+}
+
+/**
+ * Carga un escenario: .jsonl = sesión grabada; .json/.yaml = guion.
+ * @param {string} filePath
+ */
+export function loadScenario(filePath) {
+  if (path.extname(filePath).toLowerCase() === '.jsonl') {
+    return sessionToTimeline(readSession(filePath));
+  }
+  return compileScenario(readConfigFile(filePath));
+}
+
+export class MockAtem extends EventEmitter {
+  /**
+   * @param {{ timeline?: object, speed?: number, inputs?: number[] }} options
+   *   - timeline: resultado de loadScenario/compileScenario (sin escenario: silencio)
+   *   - speed: factor de velocidad de reproducción (2 = el doble de rápido)
+   *   - inputs: inputs de vídeo a exponer (se añaden los del escenario)
+   */
+  constructor({ timeline = null, speed = 1, inputs = [1, 2, 3, 4] } = {}) {
+    super();
+    this.timeline = timeline ?? compileScenario({ steps: [] });
+    this.speed = speed > 0 ? speed : 1;
+    this.connected = false;
+    this.wantConnected = false;
+    this.sendLevels = false;
+    this.outageUntil = 0;
+    /** dB actual por input (pasos del guion) */
+    this.currentLevels = {};
+    this.timers = new Set();
+    this.playback = null;
+
+    const inputIds = [...new Set([...inputs, ...this.timeline.inputs])].sort((a, b) => a - b);
+    this.state = this._createState(inputIds);
+  }
+
+  _createState(inputIds) {
+    const inputs = {};
+    const fairlightInputs = {};
+    for (const id of inputIds) {
+      inputs[id] = { inputId: id, shortName: `CAM${id}`, longName: `Cámara ${id} (sim)` };
+      fairlightInputs[id] = {
+        properties: { inputType: 0 },
+        sources: { [String(DEFAULT_SOURCE)]: { properties: { gain: 0, faderGain: 0 } } },
+      };
+    }
+    const first = inputIds[0] ?? 1;
+    return {
+      info: { modelName: 'ATEM Mini Pro (simulado)', productIdentifier: 'ATEM Mini Pro (simulado)', apiVersion: 'mock' },
+      inputs,
+      video: {
+        mixEffects: [
+          {
+            index: 0,
+            programInput: first,
+            previewInput: first,
+            transitionPosition: { inTransition: false, remainingFrames: 0, handlePosition: 0 },
+            // nextStyle: 0 = mix, 1 = dip, 2 = wipe
+            transitionProperties: { style: 0, nextStyle: 0 },
+            transitionSettings: { mix: { rate: 25 }, dip: { rate: 25, input: 2001 }, wipe: { rate: 25, pattern: 0 } },
+            upstreamKeyers: [{ upstreamKeyerId: 0, mixEffectKeyType: 0, flyEnabled: false, fillSource: 0, onAir: false }],
+          },
+        ],
+        superSources: [{ boxes: [0, 1, 2, 3].map(() => ({ enabled: false, source: 0 })) }],
+        downstreamKeyers: [0, 1].map(() => ({ onAir: false, inTransition: false, remainingFrames: 0, isAuto: false })),
+      },
+      media: { players: [0, 1].map(() => ({ sourceType: 1, stillIndex: 0, clipIndex: 0, playing: false })) },
+      macro: { macroPlayer: { macroIndex: 0, isRunning: false, isWaiting: false, loop: false } },
+      fairlight: { inputs: fairlightInputs },
+    };
+  }
+
+  /** setTimeout en tiempo de escenario (afectado por speed). */
+  _after(ms, fn) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, ms / this.speed);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  _emitState(paths) {
+    this.emit('stateChanged', this.state, paths);
+  }
+
+  // ---------- Conexión ----------
+
+  async connect(_address) {
+    this.wantConnected = true;
+    const wait = Math.max(0, this.outageUntil - Date.now()) * this.speed + LATENCY_MS;
+    this._after(wait, () => {
+      if (!this.wantConnected || this.connected) return;
+      if (Date.now() < this.outageUntil) return;
+      this.connected = true;
+      // Volcado inicial del estado antes de 'connected', como el ATEM real
+      this._emitState(['info', 'inputs', 'video.mixEffects.0', 'fairlight']);
+      this.emit('connected');
+      if (!this.playback) this._startPlayback();
+    });
+  }
+
+  async disconnect() {
+    this.wantConnected = false;
+    this.sendLevels = false;
+    if (this.connected) {
+      this.connected = false;
+      this.emit('disconnected');
+    }
+  }
+
+  /** Libera todos los temporizadores (fin de la simulación). */
+  destroy() {
+    this.wantConnected = false;
+    this._stopPlayback();
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  async startFairlightMixerSendLevels() {
+    this._requireConnection();
+    this.sendLevels = true;
+  }
+
+  /** Como en el ATEM, los niveles de la fuente (leftLevel/rightLevel) son después del fader. */
+  async setFairlightAudioMixerSourceProps(index, source, props) {
+    this._requireConnection();
+    const entry = this.state.fairlight.inputs[index]?.sources[String(source)];
+    if (!entry) throw new Error(`MockAtem: no existe la fuente Fairlight ${index}/${source}`);
+    Object.assign(entry.properties, props);
+    this._after(LATENCY_MS, () => this._emitState([`fairlight.inputs.${index}`]));
+  }
+
+  _requireConnection() {
+    if (!this.connected) throw new Error('MockAtem: sin conexión');
+  }
+
+  // ---------- Reproducción del escenario ----------
+
+  /** El escenario sigue corriendo aunque se caiga la conexión (solo deja de emitir). */
+  _startPlayback() {
+    const { actions, durationMs, loop, recorded } = this.timeline;
+    const playback = { timers: [], levelTimer: null };
+    this.playback = playback;
+
+    const runCycle = (offset) => {
+      for (const action of actions) {
+        playback.timers.push(this._after(offset + action.at, () => this._runAction(action)));
+      }
+      if (loop && durationMs > 0) {
+        playback.timers.push(this._after(offset + durationMs, () => runCycle(0)));
+      }
+    };
+    runCycle(0);
+
+    // Los guiones dan niveles por tramos: se emiten periódicamente como hace el ATEM
+    if (!recorded) {
+      playback.levelTimer = setInterval(() => this._emitCurrentLevels(), LEVEL_INTERVAL_MS / this.speed);
+    }
+  }
+
+  _stopPlayback() {
+    if (!this.playback) return;
+    for (const timer of this.playback.timers) {
+      clearTimeout(timer);
+      this.timers.delete(timer);
+    }
+    clearInterval(this.playback.levelTimer);
+    this.playback = null;
+  }
+
+  _runAction(action) {
+    if (action.type === 'levels') {
+      this.currentLevels = action.levels;
+    } else if (action.type === 'sample') {
+      this._emitLevel(action.inputId, action.db);
+    } else if (action.type === 'program') {
+      if (!this.connected) return;
+      // Corte del operador en la botonera
+      this._setProgram(action.inputId);
+    } else if (action.type === 'take') {
+      if (this.connected) this.cut();
+    } else if (action.type === 'disconnect') {
+      this._simulateOutage(action.durationMs);
+    }
+  }
+
+  _simulateOutage(durationMs) {
+    this.outageUntil = Date.now() + durationMs / this.speed;
+    if (this.connected) {
+      this.connected = false;
+      this.sendLevels = false;
+      this.emit('disconnected');
+    }
+    // Como atem-connection, reintenta solo al volver la red si nadie llamó a disconnect()
+    this._after(durationMs, () => {
+      if (this.wantConnected && !this.connected) this.connect();
+    });
+  }
+
+  _emitCurrentLevels() {
+    for (const inputId of this.timeline.inputs) {
+      this._emitLevel(inputId, this.currentLevels[inputId] ?? SILENCE_DB);
+    }
+  }
+
+  _emitLevel(inputId, db) {
+    if (!this.connected || !this.sendLevels) return;
+    // ATEM: Int16 en dB*100; -32768 = -∞. input* antes del fader, el resto después
+    const toRaw = (value) => (Number.isFinite(value) ? Math.max(-32767, Math.round(value * 100)) : -32768);
+    const faderGain = this.state.fairlight.inputs[inputId]?.sources[String(DEFAULT_SOURCE)]?.properties.faderGain ?? 0;
+    const input = toRaw(db);
+    const raw = toRaw(db + faderGain / 100);
+    const levels = {
+      inputLeftLevel: input,
+      inputRightLevel: input,
+      leftLevel: raw,
+      rightLevel: raw,
+      leftPeak: raw,
+      rightPeak: raw,
+    };
+    this.emit('levelChanged', { system: 'fairlight', type: 'source', source: DEFAULT_SOURCE, index: inputId, levels });
+    this.emit('receivedCommands', [new FairlightMixerSourceLevelsUpdateCommand(inputId, DEFAULT_SOURCE, levels)]);
+  }
+
+  // ---------- Comandos de vídeo ----------
+
+  _setProgram(inputId) {
+    const me = this.state.video.mixEffects[0];
+    if (me.programInput === inputId) return;
+    me.programInput = inputId;
+    this._emitState(['video.mixEffects.0.programInput']);
+  }
+
+  async changeProgramInput(input) {
+    this._requireConnection();
+    this._after(LATENCY_MS, () => this._setProgram(Number(input)));
+  }
+
+  async changePreviewInput(input) {
+    this._requireConnection();
+    const me = this.state.video.mixEffects[0];
+    me.previewInput = Number(input);
+    this._after(LATENCY_MS, () => this._emitState(['video.mixEffects.0.previewInput']));
+  }
+
+  async cut() {
+    this._requireConnection();
+    const me = this.state.video.mixEffects[0];
+    const { programInput, previewInput } = me;
+    me.previewInput = programInput;
+    this._after(LATENCY_MS, () => this._setProgram(previewInput));
+  }
+
+  async setTransitionStyle(props, me = 0) {
+    this._requireConnection();
+    Object.assign(this.state.video.mixEffects[me].transitionProperties, props);
+  }
+
+  async setMixTransitionSettings(props, me = 0) {
+    this._requireConnection();
+    Object.assign(this.state.video.mixEffects[me].transitionSettings.mix, props);
+  }
+
+  async setDipTransitionSettings(props, me = 0) {
+    this._requireConnection();
+    Object.assign(this.state.video.mixEffects[me].transitionSettings.dip, props);
+  }
+
+  async setWipeTransitionSettings(props, me = 0) {
+    this._requireConnection();
+    Object.assign(this.state.video.mixEffects[me].transitionSettings.wipe, props);
+  }
+
+  /** Transición automática con el estilo y rate puestos (a 25 fps): el programa cambia al final. */
+  async autoTransition() {
+    this._requireConnection();
+    const me = this.state.video.mixEffects[0];
+    if (me.transitionPosition.inTransition) return;
+    const style = ['mix', 'dip', 'wipe'][me.transitionProperties.nextStyle] ?? 'mix';
+    const frames = me.transitionSettings[style].rate;
+    me.transitionProperties.style = me.transitionProperties.nextStyle;
+    me.transitionPosition = { inTransition: true, remainingFrames: frames, handlePosition: 0 };
+    this._emitState(['video.mixEffects.0.transitionPosition']);
+    this._after((frames / 25) * 1000, () => {
+      const { programInput, previewInput } = me;
+      me.transitionPosition = { inTransition: false, remainingFrames: 0, handlePosition: 0 };
+      me.previewInput = programInput;
+      this._setProgram(previewInput);
+      this._emitState(['video.mixEffects.0.transitionPosition', 'video.mixEffects.0.previewInput']);
+    });
+  }
+
+  // ---------- Rótulos (DSK, media pool, macros) ----------
+
+  async setMediaPlayerSource(props, player = 0) {
+    this._requireConnection();
+    Object.assign(this.state.media.players[player], props);
+    this._after(LATENCY_MS, () => this._emitState([`media.players.${player}`]));
+  }
+
+  async setDownstreamKeyOnAir(onAir, key = 0) {
+    this._requireConnection();
+    this._after(LATENCY_MS, () => {
+      this.state.video.downstreamKeyers[key].onAir = onAir;
+      this._emitState([`video.downstreamKeyers.${key}`]);
+    });
+  }
+
+  /** Transición del DSK de 1 s (25 frames); solo cambia si va hacia el otro estado. */
+  async autoDownstreamKey(key = 0, isTowardsOnAir) {
+    this._requireConnection();
+    const dsk = this.state.video.downstreamKeyers[key];
+    const towards = isTowardsOnAir ?? !dsk.onAir;
+    if (dsk.inTransition || dsk.onAir === towards) return;
+    Object.assign(dsk, { inTransition: true, remainingFrames: 25, isAuto: true, isTowardsOnAir: towards, onAir: true });
+    this._emitState([`video.downstreamKeyers.${key}`]);
+    this._after(1000, () => {
+      Object.assign(dsk, { inTransition: false, remainingFrames: 0, isAuto: false, onAir: towards });
+      this._emitState([`video.downstreamKeyers.${key}`]);
+    });
+  }
+
+  async macroRun(index = 0) {
+    this._requireConnection();
+    this.state.macro.macroPlayer.macroIndex = index;
+    this._after(LATENCY_MS, () => this._emitState(['macro.macroPlayer']));
+  }
+
+  // ---------- Layouts (USK con DVE, SuperSource) ----------
+
+  _setUpstreamKeyer(me, keyer, props) {
+    this._requireConnection();
+    this._after(LATENCY_MS, () => {
+      Object.assign(this.state.video.mixEffects[me].upstreamKeyers[keyer], props);
+      this._emitState([`video.mixEffects.${me}.upstreamKeyers.${keyer}`]);
+    });
+  }
+
+  async setUpstreamKeyerType(props, me = 0, keyer = 0) {
+    this._setUpstreamKeyer(me, keyer, props);
+  }
+
+  async setUpstreamKeyerFillSource(fillSource, me = 0, keyer = 0) {
+    this._setUpstreamKeyer(me, keyer, { fillSource });
+  }
+
+  async setUpstreamKeyerOnAir(onAir, me = 0, keyer = 0) {
+    this._setUpstreamKeyer(me, keyer, { onAir });
+  }
+
+  async setSuperSourceBoxSettings(props, box = 0, ssrcId = 0) {
+    this._requireConnection();
+    this._after(LATENCY_MS, () => {
+      Object.assign(this.state.video.superSources[ssrcId].boxes[box], props);
+      this._emitState([`video.superSources.${ssrcId}.boxes.${box}`]);
+    });
+  }
+}
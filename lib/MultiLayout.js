@@ -0,0 +1,92 @@
+import { resolveAudioSources } from './audioSources.js';
+
+/**
+ * Layout para 2+ hablando en vez del plano amplio (multiLayout.mode):
+ * - 'dve': la cámara de una persona de fondo y la de otra en la caja (PiP) del USK con DVE
+ * - 'supersource': las cámaras de quienes hablan en las cajas de SuperSource (multiLayout.boxes)
+ * El decider ve el layout como una cámara más (multiLayout.camera, un plano de grupo); aquí
+ * se decide qué cámara va en cada caja. Con el layout en programa, las cajas siguen a quienes
+ * hablan: quien sigue hablando no cambia de caja y las que quedan libres se llenan con las
+ * personas nuevas. Con menos de 2 hablando no se toca (el decider cortará a quien habla).
+ * enter() y update() devuelven las cámaras de las cajas; setMultiLayout() las monta en el ATEM.
+ */
+
+export class MultiLayout {
+  /**
+   * @param {object} config - CONFIG completo (usa multiLayout, cameraMapping y audioSources)
+   */
+  constructor(config) {
+    /** Cámara de cada caja (dve: [fondo, caja]); null = caja vacía */
+    this.cameras = [];
+    this.setConfig(config);
+  }
+
+  setConfig(config) {
+    this.options = config.multiLayout;
+    this.sources = resolveAudioSources(config);
+  }
+
+  get enabled() {
+    return this.options.mode !== 'wide';
+  }
+
+  /** La cámara es el layout. */
+  isLayout(cameraId) {
+    return this.enabled && cameraId === this.options.camera;
+  }
+
+  /** Cajas disponibles: fondo + caja del USK, o las de SuperSource. */
+  get capacity() {
+    return this.options.mode === 'dve' ? 2 : this.options.boxes.length;
+  }
+
+  /** Primera cámara de cada fuente que habla, por prioridad y luego por quien empezó antes. */
+  speakerCameras(sourcesWithAudio) {
+    return sourcesWithAudio
+      .map((s) => ({ ...s, source: this.sources.get(s.sourceId) }))
+      .filter((s) => s.source?.cameras.length)
+      .sort((a, b) => b.source.priority - a.source.priority || (a.speakingSince ?? 0) - (b.speakingSince ?? 0))
+      .map((s) => s.source.cameras[0]);
+  }
+
+  /**
+   * Cajas al entrar en el layout. Si la cámara en programa es de alguien que habla, se
+   * queda en la primera caja (en dve, de fondo: solo aparece la caja con la otra persona).
+   * @returns {(number|null)[]}
+   */
+  enter(sourcesWithAudio, currentCameraId) {
+    const talking = this.speakerCameras(sourcesWithAudio);
+    this.cameras = talking.includes(currentCameraId) ? [currentCameraId] : [];
+    this.cameras = this.fill(talking);
+    return this.cameras;
+  }
+
+  /**
+   * Con el layout en programa: cajas nuevas si cambió quién habla, o null si no hay cambios.
+   * @returns {(number|null)[] | null}
+   */
+  update(sourcesWithAudio) {
+    const talking = this.speakerCameras(sourcesWithAudio);
+    if (talking.length < 2) return null;
+    const next = this.fill(talking);
+    if (next.length === this.cameras.length && next.every((cam, i) => cam === this.cameras[i])) return null;
+    this.cameras = next;
+    return next;
+  }
+
+  /** Mantiene en su caja a quien sigue hablando y llena las libres con quien empieza. */
+  fill(talking) {
+    const boxes = this.cameras.map((cam) => (talking.includes(cam) ? cam : null));
+    for (const cam of talking) {
+      if (boxes.includes(cam)) continue;
+      const free = boxes.indexOf(null);
+      if (free >= 0) boxes[free] = cam;
+      else if (boxes.length < this.capacity) boxes.push(cam);
+    }
+    return boxes;
+  }
+
+  reset() {
+    this.cameras = [];
+  }
+}
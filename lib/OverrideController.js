@@ -0,0 +1,120 @@
+/**
+ * Override manual del auto-switch:
+ * - lock: fijar un input (indefinido o durante N ms)
+ * - suspend: suspender el auto (indefinido, durante N ms o hasta que haya silencio)
+ * Mientras hay override, el auto-switch no corta ni acumula corte pendiente / hold del plano.
+ */
+
+export class OverrideController {
+  constructor() {
+    /**
+     * @type {null | {
+     *   type: 'lock' | 'suspend',
+     *   inputId?: number,
+     *   since: number,
+     *   until: number | null,
+     *   resumeAfterSilenceMs: number | null,
+     *   source: string,
+     * }}
+     */
+    this.state = null;
+  }
+
+  /**
+   * Fija un input.
+   * @param {number} inputId
+   * @param {number} now
+   * @param {{ durationMs?: number|null, source?: string }} options - durationMs null = indefinido
+   */
+  lock(inputId, now, { durationMs = null, source = 'api' } = {}) {
+    this.state = {
+      type: 'lock',
+      inputId,
+      since: now,
+      until: durationMs > 0 ? now + durationMs : null,
+      resumeAfterSilenceMs: null,
+      source,
+    };
+    return this.state;
+  }
+
+  /**
+   * Suspende el auto-switch.
+   * @param {number} now
+   * @param {{ durationMs?: number|null, resumeAfterSilenceMs?: number|null, source?: string }} options
+   *   - resumeAfterSilenceMs: reanudar cuando haya este silencio (contado desde la suspensión)
+   */
+  suspend(now, { durationMs = null, resumeAfterSilenceMs = null, source = 'api' } = {}) {
+    this.state = {
+      type: 'suspend',
+      since: now,
+      until: durationMs > 0 ? now + durationMs : null,
+      resumeAfterSilenceMs: resumeAfterSilenceMs > 0 ? resumeAfterSilenceMs : null,
+      source,
+    };
+    return this.state;
+  }
+
+  /**
+   * Alarga el override actual hasta `until` si acaba antes; uno indefinido no cambia.
+   * @returns el override (o null si no hay)
+   */
+  extendUntil(until) {
+    const s = this.state;
+    if (s?.until != null) s.until = Math.max(s.until, until);
+    return s;
+  }
+
+  /**
+   * Quita el override actual.
+   * @returns el override que había (o null)
+   */
+  release() {
+    const ended = this.state;
+    this.state = null;
+    return ended;
+  }
+
+  /**
+   * Comprueba si el override ha expirado (tiempo o silencio).
+   * @param {number} now
+   * @param {number} silenceDuration - ms desde el último audio por encima del umbral
+   * @returns {null | { ended: object, reason: 'timeout' | 'silence' }} el override que acaba de terminar
+   */
+  update(now, silenceDuration) {
+    const s = this.state;
+    if (!s) return null;
+    if (s.until != null && now >= s.until) {
+      this.state = null;
+      return { ended: s, reason: 'timeout' };
+    }
+    if (
+      s.resumeAfterSilenceMs != null &&
+      now - s.since >= s.resumeAfterSilenceMs &&
+      silenceDuration >= s.resumeAfterSilenceMs
+    ) {
+      this.state = null;
+      return { ended: s, reason: 'silence' };
+    }
+    return null;
+  }
+
+  isActive() {
+    return this.state != null;
+  }
+
+  /** Input fijado, o null si no hay lock. */
+  get lockedInputId() {
+    return this.state?.type === 'lock' ? this.state.inputId : null;
+  }
+
+  /** Estado serializable para la API (con tiempo restante). */
+  describe(now) {
+    const s = this.state;
+    if (!s) return null;
+    return {
+      ...s,
+      remainingMs: s.until != null ? Math.max(0, s.until - now) : null,
+    };
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Grabación de una sesión en JSONL para reproducirla después sin ATEM (replay.js).
+ * Una línea por evento:
+ *   { type: 'session', t, config, currentCamera }   cabecera con los ajustes de la grabación
+ *   { type: 'sample', t, inputId, db, normalized }  cada muestra que recibe AudioLevelTracker.store()
+ *                                                   (inputId = id de la fuente, ver lib/audioSources.js)
+ *   { type: 'cut', t, inputId, reason, source }     cada corte (source: 'auto' | 'operator')
+ * db = null equivale a -∞ (silencio).
+ */
+
+import fs from 'fs';
+
+/** Partes de CONFIG que afectan a la decisión y se guardan en la cabecera. */
+const RECORDED_CONFIG_KEYS = [
+  'preset',
+  'cameraMapping',
+  'audioSources',
+  'bleedMatrix',
+  'wideCameraId',
+  'groupShots',
+  'multiLayout',
+  'slidesCameraId',
+  'silenceTo',
+  'silenceToWideMs',
+  'strategies',
+  'audio',
+  'cutaway',
+  'detection',
+  'operator',
+];
+
+export class SessionRecorder {
+  /**
+   * @param {string} filePath - se crea o se añade al final
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+    this.stream.on('error', (err) => {
+      console.error(`❌ Error grabando ${filePath}:`, err.message);
+    });
+  }
+
+  write(event) {
+    this.stream.write(
+      JSON.stringify(event, (_k, v) => (typeof v === 'number' && !Number.isFinite(v) ? null : v)) + '\n'
+    );
+  }
+
+  recordSession(config, currentCamera, t) {
+    const recorded = Object.fromEntries(RECORDED_CONFIG_KEYS.map((k) => [k, config[k]]));
+    this.write({ type: 'session', t, config: recorded, currentCamera });
+  }
+
+  recordSample(inputId, db, normalized, t) {
+    this.write({ type: 'sample', t, inputId, db, normalized });
+  }
+
+  recordCut(inputId, reason, source, t) {
+    this.write({ type: 'cut', t, inputId, reason, source });
+  }
+
+  close() {
+    return new Promise((resolve) => this.stream.end(resolve));
+  }
+}
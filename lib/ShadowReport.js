@@ -0,0 +1,158 @@
+import { formatTime } from './clock.js';
+
+/**
+ * Modo shadow (operator.mode: 'shadow'): el auto-switch decide sin tocar el ATEM y aquí
+ * se comparan sus cortes con los del operador. Un corte del operador coincide con uno
+ * del auto a la misma cámara si están a menos de operator.shadowMatchWindowMs; el resto
+ * son cortes que el auto no hizo (missed) o que el operador no hizo (extra).
+ * Los cortes por un override (lock o corte forzado desde la API) mueven el programa del
+ * auto pero no son decisiones suyas: no cuentan para las coincidencias.
+ * Solo registra cortes; formatShadowReport() da el informe para la consola.
+ */
+
+export class ShadowReport {
+  /**
+   * @param {{ matchWindowMs: number }} options
+   */
+  constructor({ matchWindowMs }) {
+    this.matchWindowMs = matchWindowMs;
+    this.startedAt = null;
+    /** Cámara en programa al empezar (la misma para el auto y el operador) */
+    this.startCamera = null;
+    /** Cortes del programa del auto: { at, inputId, reason, source } (source 'auto' o el del override) */
+    this.autoCuts = [];
+    /** Cortes del operador: { at, inputId } */
+    this.humanCuts = [];
+  }
+
+  get started() {
+    return this.startedAt != null;
+  }
+
+  start(camera, now) {
+    this.reset();
+    this.startedAt = now;
+    this.startCamera = camera;
+  }
+
+  /** Olvida la sesión (al dejar el modo shadow). */
+  reset() {
+    this.startedAt = null;
+    this.autoCuts = [];
+    this.humanCuts = [];
+  }
+
+  recordAuto(inputId, reason, now, { source = 'auto' } = {}) {
+    this.autoCuts.push({ at: now, inputId, reason, source });
+  }
+
+  recordHuman(inputId, now) {
+    this.humanCuts.push({ at: now, inputId });
+  }
+
+  /**
+   * @param {number} now - fin de la sesión
+   * @returns {{ durationMs: number, matched: object[], missed: object[], extra: object[], overrides: object[],
+   *   agreement: number|null, latency: { meanMs: number, medianMs: number }|null, sameCameraRatio: number|null }}
+   *   at relativos al inicio; latencyMs > 0 = el operador cortó después que el auto;
+   *   agreement = coincidencias / cortes del operador; sameCameraRatio = fracción del tiempo
+   *   en que los dos tenían la misma cámara; overrides = cortes por override (no se comparan)
+   */
+  summary(now) {
+    const t0 = this.startedAt ?? now;
+    const decided = this.autoCuts.filter((cut) => cut.source === 'auto');
+    const used = new Set();
+    const matched = [];
+    const missed = [];
+    // Cada corte del operador con el del auto más cercano a la misma cámara, sin repetir
+    for (const human of this.humanCuts) {
+      let best = null;
+      decided.forEach((auto, i) => {
+        const distance = Math.abs(human.at - auto.at);
+        if (used.has(i) || auto.inputId !== human.inputId || distance > this.matchWindowMs) return;
+        if (best == null || distance < Math.abs(human.at - decided[best].at)) best = i;
+      });
+      if (best == null) {
+        missed.push({ at: human.at - t0, inputId: human.inputId });
+        continue;
+      }
+      used.add(best);
+      const auto = decided[best];
+      matched.push({ at: human.at - t0, inputId: human.inputId, reason: auto.reason, latencyMs: human.at - auto.at });
+    }
+    const extra = decided
+      .filter((_, i) => !used.has(i))
+      .map((auto) => ({ at: auto.at - t0, inputId: auto.inputId, reason: auto.reason }));
+    const overrides = this.autoCuts
+      .filter((cut) => cut.source !== 'auto')
+      .map((cut) => ({ at: cut.at - t0, inputId: cut.inputId, source: cut.source }));
+
+    const latencies = matched.map((m) => m.latencyMs).sort((a, b) => a - b);
+    const middle = latencies.length >> 1;
+    return {
+      durationMs: now - t0,
+      matched,
+      missed,
+      extra,
+      overrides,
+      agreement: this.humanCuts.length ? matched.length / this.humanCuts.length : null,
+      latency: latencies.length
+        ? {
+            meanMs: latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length,
+            medianMs: latencies.length % 2 ? latencies[middle] : (latencies[middle - 1] + latencies[middle]) / 2,
+          }
+        : null,
+      sameCameraRatio: now > t0 ? this.sameCameraMs(now) / (now - t0) : null,
+    };
+  }
+
+  /** Tiempo en que el programa del auto y el del operador tenían la misma cámara. */
+  sameCameraMs(now) {
+    const events = [
+      ...this.autoCuts.map((cut) => ({ ...cut, who: 'auto' })),
+      ...this.humanCuts.map((cut) => ({ ...cut, who: 'human' })),
+    ].sort((a, b) => a.at - b.at);
+    const program = { auto: this.startCamera, human: this.startCamera };
+    let total = 0;
+    let since = this.startedAt;
+    for (const event of [...events, { at: now }]) {
+      if (program.auto === program.human) total += event.at - since;
+      since = event.at;
+      if (event.who) program[event.who] = event.inputId;
+    }
+    return total;
+  }
+}
+
+/**
+ * Informe de ShadowReport.summary() para la consola.
+ * @param {object} summary
+ * @param {object} cameraMapping - para los nombres
+ * @returns {string[]} líneas
+ */
+export function formatShadowReport(summary, cameraMapping) {
+  const name = (id) => cameraMapping[id]?.name || `Input ${id}`;
+  const pct = (ratio) => (ratio == null ? '—' : `${(ratio * 100).toFixed(0)}%`);
+  const { matched, missed, extra, overrides, agreement, latency, sameCameraRatio } = summary;
+  const lines = [
+    `👻 Informe shadow (${formatTime(summary.durationMs)}): ${matched.length + missed.length} cortes del operador, ${matched.length + extra.length} del auto`,
+    `   Coincidencias: ${matched.length} (${pct(agreement)} de los del operador) | misma cámara el ${pct(sameCameraRatio)} del tiempo`,
+  ];
+  if (latency) {
+    const s = (ms) => `${ms >= 0 ? '+' : ''}${(ms / 1000).toFixed(1)}s`;
+    lines.push(`   Latencia del operador frente al auto: media ${s(latency.meanMs)}, mediana ${s(latency.medianMs)}`);
+  }
+  if (missed.length) {
+    lines.push(`   Cortes que el auto no hizo (${missed.length}):`);
+    for (const cut of missed) lines.push(`     ${formatTime(cut.at)}  ${name(cut.inputId)}`);
+  }
+  if (extra.length) {
+    lines.push(`   Cortes de más del auto (${extra.length}):`);
+    for (const cut of extra) lines.push(`     ${formatTime(cut.at)}  ${name(cut.inputId)} (${cut.reason})`);
+  }
+  if (overrides.length) {
+    lines.push(`   Cortes por override, fuera de la comparación (${overrides.length}):`);
+    for (const cut of overrides) lines.push(`     ${formatTime(cut.at)}  ${name(cut.inputId)} (${cut.source})`);
+  }
+  return lines;
+}
@@ -1,19 +1,44 @@
+import { resolveAudioSources } from './audioSources.js';
+import { DefaultStrategy, isGroupShotCamera } from './DefaultStrategy.js';
+import { DEFAULT_STRATEGY, hasHooks } from './strategies.js';
+
 /**
- * Decide a qué cámara cortar según niveles de audio y reglas de negocio.
- * - Silencio prolongado → cámara amplia
- * - 2+ cámaras con audio → cámara amplia
- * - 1 cámara con audio → esa cámara
+ * Decide a qué cámara cortar encadenando estrategias (ver lib/strategies.js): la primera
+ * que propone un candidato gana, todas pueden reescribirlo y cualquiera vetarlo. Las reglas
+ * de siempre (silencio, 2+ hablan, 1 habla, recursos) son la estrategia 'default'
+ * (lib/DefaultStrategy.js). Después, para cualquier estrategia: cooldown y, por cámara,
+ * minOnAirMs (tiempo mínimo en programa).
  */
 
 export class SwitchDecider {
   /**
-   * @param {object} config - CONFIG completo (audio, wideCameraId, silenceToWideMs, cameraMapping)
+   * @param {object} config - CONFIG completo (audio, wideCameraId, silenceToWideMs, cameraMapping, audioSources)
+   * @param {{ strategies?: Array<'default'|object|Function> }} options - lo que devuelve loadStrategies(config)
+   */
+  constructor(config, { strategies = [DEFAULT_STRATEGY] } = {}) {
+    /** Hooks de estrategia que ya fallaron (se avisa una vez) */
+    this.failedHooks = new Set();
+    this.strategies = strategies.map((entry) => {
+      if (entry === DEFAULT_STRATEGY) return new DefaultStrategy(config);
+      const strategy = typeof entry === 'function' ? entry(config) : entry;
+      if (!hasHooks(strategy)) throw new TypeError('Estrategia sin hooks (update, propose, rewrite, veto)');
+      return strategy;
+    });
+    this.setConfig(config);
+  }
+
+  /**
+   * Aplica una configuración nueva (recarga en caliente).
    */
-  constructor(config) {
+  setConfig(config) {
     this.config = config;
-    this.wideId = config.wideCameraId;
-    this.wideConfig =
-      Number.isFinite(this.wideId) && config.cameraMapping[this.wideId];
+    this.sources = resolveAudioSources(config);
+    for (const strategy of this.strategies) this.call(strategy, 'setConfig', config);
+  }
+
+  /** Nombre de la estrategia para logs y para candidate.strategy (su name o su posición en la lista). */
+  nameOf(strategy) {
+    return strategy.name ?? `#${this.strategies.indexOf(strategy) + 1}`;
   }
 
   /**
@@ -22,66 +47,42 @@ export class SwitchDecider {
    */
   decide(tracker, currentCameraId, now, lastSwitchTime) {
     const { cooldownTime, cooldownWideMs } = this.config.audio;
-    const camerasWithAudio = tracker.getCamerasWithAudio(now);
-    const silenceDuration = tracker.getSilenceDuration(now);
+    const ctx = {
+      tracker,
+      sourcesWithAudio: tracker.getSourcesWithAudio(now),
+      silenceDuration: tracker.getSilenceDuration(now),
+      currentCameraId,
+      now,
+      lastSwitchTime,
+      timeOnAirMs: lastSwitchTime > 0 ? now - lastSwitchTime : null,
+      config: this.config,
+      sources: this.sources,
+    };
 
-    let candidate = null;
+    for (const strategy of this.strategies) this.call(strategy, 'update', ctx);
 
-    // Silencio → cámara amplia
-    if (
-      camerasWithAudio.length === 0 &&
-      this.wideConfig &&
-      currentCameraId !== this.wideId &&
-      tracker.lastTimeAnyAudio > 0 &&
-      silenceDuration >= this.config.silenceToWideMs
-    ) {
-      candidate = {
-        switchTo: this.wideId,
-        reason: 'silence',
-        silenceDuration,
-      };
+    let candidate = null;
+    for (const strategy of this.strategies) {
+      candidate = this.call(strategy, 'propose', ctx) ?? null;
+      if (candidate) {
+        candidate = { ...candidate, strategy: this.nameOf(strategy) };
+        break;
+      }
     }
-
-    // 2+ hablan → cámara amplia
-    if (
-      !candidate &&
-      this.wideConfig &&
-      camerasWithAudio.length >= 2 &&
-      currentCameraId !== this.wideId
-    ) {
-      candidate = {
-        switchTo: this.wideId,
-        reason: 'multi',
-        cameraNames: camerasWithAudio.map(
-          (c) => this.config.cameraMapping[c.inputId]?.name
-        ),
-      };
+    for (const strategy of this.strategies) {
+      if (!candidate) break;
+      const rewritten = this.call(strategy, 'rewrite', candidate, ctx);
+      if (rewritten !== undefined) candidate = rewritten;
     }
-
-    // 1 cámara hablando (solo si realmente hay exactamente una con audio; si hay 2+ no considerar "single")
-    if (!candidate && camerasWithAudio.length === 1) {
-      const best = tracker.getBestSingleCamera(now, currentCameraId);
-      if (
-        best &&
-        best.inputId !== currentCameraId &&
-        best.inputId !== undefined &&
-        best.inputId !== null
-      ) {
-        candidate = {
-          switchTo: best.inputId,
-          reason: 'single',
-          avgVolume: best.avgVolume,
-          levels: best.levels,
-        };
-      }
+    if (!candidate || !this.config.cameraMapping[candidate.switchTo] || candidate.switchTo === currentCameraId) {
+      return null;
     }
-
-    if (!candidate) return null;
+    if (this.strategies.some((strategy) => this.call(strategy, 'veto', candidate, ctx) === true)) return null;
 
     const isWide = candidate.reason === 'silence' || candidate.reason === 'multi';
     // Cooldown corto al ir a amplia (multi/silencio). Si estamos ya en amplia y queremos ir a una cámara (single), también cooldown corto para no bloquear el hold de 4s.
     const goingToSingleFromWide =
-      currentCameraId === this.wideId && candidate.reason === 'single';
+      isGroupShotCamera(this.config, currentCameraId) && candidate.reason === 'single';
     const cooldown =
       isWide || goingToSingleFromWide
         ? (cooldownWideMs ?? 400)
@@ -90,6 +91,52 @@ export class SwitchDecider {
       return null;
     }
 
+    const minOnAirMs = this.config.cameraMapping[currentCameraId]?.minOnAirMs ?? 0;
+    if (lastSwitchTime > 0 && now - lastSwitchTime < minOnAirMs) {
+      return null;
+    }
+
     return candidate;
   }
+
+  /**
+   * Llama a un hook de la estrategia si lo tiene. Un error en una estrategia de usuario
+   * no para el auto-switch: se avisa la primera vez y el hook cuenta como sin respuesta.
+   */
+  call(strategy, hook, ...args) {
+    if (typeof strategy[hook] !== 'function') return undefined;
+    try {
+      return strategy[hook](...args);
+    } catch (err) {
+      const key = `${this.nameOf(strategy)}.${hook}`;
+      if (!this.failedHooks.has(key)) {
+        this.failedHooks.add(key);
+        console.error(`❌ Estrategia ${key}: ${err.message}`);
+      }
+      return undefined;
+    }
+  }
+}
+
+/**
+ * Texto de la razón de un corte para los logs (ej. " (silencio 2.1s)").
+ * @param {object|null} decision
+ */
+export function reasonToText(decision) {
+  if (!decision?.reason) return '';
+  const { reason } = decision;
+  if (reason === 'silence') {
+    const s = (decision.silenceDuration / 1000).toFixed(1);
+    return ` (silencio ${s}s)`;
+  }
+  if (reason === 'multi') {
+    const names = (decision.cameraNames || []).join(', ');
+    return ` (2+ hablan: ${names})`;
+  }
+  if (reason === 'single') return ' (1 cámara habla)';
+  if (reason === 'cutaway') return ` (recurso tras ${(decision.shotMs / 1000).toFixed(0)}s en plano)`;
+  if (reason === 'manual') return ' (forzado desde la API)';
+  if (reason === 'lock') return ' (🔒 bloqueada)';
+  // Razones de estrategias propias: su texto o el nombre de la razón
+  return ` (${decision.text ?? reason})`;
 }
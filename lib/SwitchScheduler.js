@@ -0,0 +1,76 @@
+/**
+ * Temporización de los cortes decididos por SwitchDecider: retraso antes de ejecutar
+ * el corte (switchDelayMs / switchDelayWideMs), cancelado si la decisión cambia.
+ * (El hold del plano lo decide SwitchDecider con el "hablando desde" del detector de voz.)
+ */
+
+export class SwitchScheduler {
+  /**
+   * @param {object} config - CONFIG completo (audio, debug)
+   */
+  constructor(config) {
+    this.setConfig(config);
+    this.reset();
+  }
+
+  /**
+   * Aplica una configuración nueva (recarga en caliente).
+   */
+  setConfig(config) {
+    this.config = config;
+  }
+
+  /** Descarta el corte pendiente. */
+  reset() {
+    /** Cambio pendiente: solo se ejecuta tras el retraso si la decisión se mantiene */
+    this.pendingSwitch = null;
+    this._lastDelayLog = 0;
+  }
+
+  /**
+   * Procesa la decisión de este tick.
+   * @param {object|null} decision - resultado de SwitchDecider.decide()
+   * @param {number|null} currentCameraId
+   * @param {number} now
+   * @returns {null | { targetId: number, decision: object, delayMs: number|null }} corte a ejecutar ya
+   */
+  update(decision, currentCameraId, now) {
+    if (!decision?.switchTo || decision.switchTo === currentCameraId) {
+      this.pendingSwitch = null;
+      return null;
+    }
+    const switchTo = decision.switchTo;
+
+    const isWide = decision.reason === 'multi' || decision.reason === 'silence';
+    const switchDelayMs = isWide
+      ? (this.config.audio.switchDelayWideMs ?? 300)
+      : (this.config.audio.switchDelayMs ?? 800);
+
+    if (switchDelayMs <= 0) {
+      return { targetId: switchTo, decision, delayMs: null };
+    }
+
+    if (!this.pendingSwitch || this.pendingSwitch.targetId !== switchTo) {
+      this.pendingSwitch = { targetId: switchTo, decision, scheduledAt: now };
+      return null;
+    }
+
+    const elapsed = now - this.pendingSwitch.scheduledAt;
+    if (elapsed < switchDelayMs) {
+      if (this.config.debug && (!this._lastDelayLog || now - this._lastDelayLog > 600)) {
+        this._lastDelayLog = now;
+        console.log(`   [debug] Esperando: ${elapsed}/${switchDelayMs}ms`);
+      }
+      return null;
+    }
+
+    const action = {
+      targetId: this.pendingSwitch.targetId,
+      decision: this.pendingSwitch.decision,
+      delayMs: switchDelayMs,
+    };
+    this.pendingSwitch = null;
+    this._lastDelayLog = 0;
+    return action;
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Detección de voz de una fuente con histéresis:
+ * - empieza a hablar si el nivel supera `open` durante attackMs (sin bajar de `close`)
+ * - deja de hablar si el nivel está por debajo de `close` durante releaseMs
+ * Un nivel que ronda el umbral no entra y sale en cada muestra.
+ *
+ *   silent ──(> open)──▶ attack ──(attackMs)──▶ speaking ──(< close)──▶ release ──(releaseMs)──▶ silent
+ *                          │ (< close)                          ▲ (>= close)   │
+ *                          ▼                                    └──────────────┘
+ *                        silent
+ */
+
+export class VoiceActivityDetector {
+  /**
+   * @param {{ open: number, close: number, attackMs: number, releaseMs: number }} options - umbrales normalizados 0-1
+   */
+  constructor(options) {
+    this.setOptions(options);
+    /** @type {'silent' | 'attack' | 'speaking' | 'release'} */
+    this.state = 'silent';
+    /** Inicio del ataque (se toma como comienzo de la voz) */
+    this.attackStart = null;
+    /** Desde cuándo habla (null si no habla) */
+    this.speakingSince = null;
+    /** Cuándo bajó el nivel en el último release */
+    this.releaseStart = null;
+    /** Desde cuándo está callada (null si habla o nunca ha hablado) */
+    this.silentSince = null;
+  }
+
+  setOptions({ open, close, attackMs, releaseMs }) {
+    this.open = open;
+    this.close = Math.min(close, open);
+    this.attackMs = attackMs;
+    this.releaseMs = releaseMs;
+  }
+
+  /** Aplica los tiempos de ataque/release cumplidos hasta `now`. */
+  advance(now) {
+    if (this.state === 'attack' && now - this.attackStart >= this.attackMs) {
+      this.state = 'speaking';
+      this.speakingSince = this.attackStart;
+      this.silentSince = null;
+    }
+    if (this.state === 'release' && now - this.releaseStart >= this.releaseMs) {
+      this.state = 'silent';
+      this.speakingSince = null;
+      this.silentSince = this.releaseStart;
+    }
+  }
+
+  /**
+   * Procesa una muestra.
+   * @param {number} level - nivel normalizado 0-1
+   * @param {number} timestamp
+   */
+  update(level, timestamp) {
+    this.advance(timestamp);
+    switch (this.state) {
+      case 'silent':
+        if (level > this.open) {
+          this.state = 'attack';
+          this.attackStart = timestamp;
+          this.advance(timestamp);
+        }
+        break;
+      case 'attack':
+        if (level < this.close) this.state = 'silent';
+        break;
+      case 'speaking':
+        if (level < this.close) {
+          this.state = 'release';
+          this.releaseStart = timestamp;
+          this.advance(timestamp);
+        }
+        break;
+      case 'release':
+        if (level >= this.close) this.state = 'speaking';
+        break;
+    }
+  }
+
+  /** Habla en `now` (incluye el release, aún no cumplido). */
+  isSpeaking(now) {
+    this.advance(now);
+    return this.state === 'speaking' || this.state === 'release';
+  }
+
+  reset() {
+    this.state = 'silent';
+    this.attackStart = null;
+    this.speakingSince = null;
+    this.releaseStart = null;
+    this.silentSince = null;
+  }
+}
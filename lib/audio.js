@@ -20,6 +20,16 @@ export function dbToNormalizedLevel(db, minDb, maxDb, curve = 0.7) {
   return norm;
 }
 
+/**
+ * Nivel con la ganancia de una fuente (gainDb de cameraMapping o audioSources): el
+ * normalizado se recalcula desde db + gainDb. Es la escala de umbrales y diafonía.
+ * @returns {{ db: number, normalized: number }}
+ */
+export function applyGainDb(db, normalized, gainDb, minDb, maxDb) {
+  if (!gainDb || !Number.isFinite(db)) return { db, normalized };
+  return { db: db + gainDb, normalized: dbToNormalizedLevel(db + gainDb, minDb, maxDb) };
+}
+
 /**
  * Extrae dB y nivel normalizado de un payload Fairlight (levelChanged o FMLv).
  * ATEM envía niveles como Int16BE en formato dB*100 (ej. -3000 = -30 dB).
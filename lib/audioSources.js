@@ -0,0 +1,77 @@
+/**
+ * Fuentes de audio → cámaras. Sin `audioSources` en la configuración, cada cámara
+ * de cameraMapping es su propia fuente (el audio del input N es de quien sale en la
+ * cámara N). Con `audioSources`, cualquier entrada Fairlight (HDMI, mic 1 = 1301,
+ * mic 2 = 1302…) o una fuente concreta de ella apunta a una o varias cámaras.
+ */
+
+/**
+ * Id de una fuente: el número de input, o "input:source" si se eligió una fuente
+ * Fairlight concreta (p. ej. un canal de un estéreo partido).
+ * @param {number} input
+ * @param {string|null} source
+ */
+export function sourceId(input, source = null) {
+  return source == null ? input : `${input}:${source}`;
+}
+
+/**
+ * Fuentes de audio efectivas.
+ * @param {object} config - CONFIG completo (cameraMapping, audioSources)
+ * @returns {Map<number|string, { id: number|string, input: number, source: string|null, name: string, cameras: number[], priority: number, gainDb: number, threshold: number|undefined, closeThreshold: number|undefined }>}
+ */
+export function resolveAudioSources(config) {
+  const sources = new Map();
+  const mapping = config.cameraMapping ?? {};
+
+  if (!Array.isArray(config.audioSources)) {
+    for (const [key, cam] of Object.entries(mapping)) {
+      const input = Number(key);
+      sources.set(input, {
+        id: input,
+        input,
+        source: null,
+        name: cam.name,
+        cameras: [input],
+        priority: cam.priority ?? 0,
+        gainDb: cam.gainDb ?? 0,
+        threshold: cam.threshold,
+        closeThreshold: cam.closeThreshold,
+      });
+    }
+    return sources;
+  }
+
+  for (const entry of config.audioSources) {
+    const input = Number(entry.input);
+    const source = entry.source != null ? String(entry.source) : null;
+    const id = sourceId(input, source);
+    const cameras = entry.cameras.map(Number).filter((c) => mapping[c]);
+    sources.set(id, {
+      id,
+      input,
+      source,
+      name: entry.name ?? mapping[cameras[0]]?.name ?? `Input ${input}`,
+      cameras,
+      priority: entry.priority ?? 0,
+      gainDb: entry.gainDb ?? 0,
+      threshold: entry.threshold,
+      closeThreshold: entry.closeThreshold,
+    });
+  }
+  return sources;
+}
+
+/**
+ * Id de la fuente a la que pertenece un nivel recibido del ATEM.
+ * @param {Map} sources - resultado de resolveAudioSources()
+ * @param {number} input - índice Fairlight
+ * @param {bigint|string|null} source - fuente Fairlight del nivel
+ */
+export function findSourceId(sources, input, source = null) {
+  if (source != null) {
+    const id = sourceId(input, String(source));
+    if (sources.has(id)) return id;
+  }
+  return input;
+}
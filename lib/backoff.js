@@ -0,0 +1,17 @@
+/**
+ * Espera exponencial entre reintentos (reconexión al ATEM).
+ */
+
+/**
+ * @param {number} attempt - número de intento (1 = primero)
+ * @param {{ initialDelayMs: number, maxDelayMs: number, factor: number, jitter?: number }} options
+ *   - jitter: fracción aleatoria ± aplicada al resultado (0.2 = ±20 %)
+ * @param {() => number} random - fuente aleatoria (0-1)
+ * @returns {number} ms a esperar
+ */
+export function backoffDelay(attempt, { initialDelayMs, maxDelayMs, factor, jitter = 0 }, random = Math.random) {
+  const base = Math.min(maxDelayMs, initialDelayMs * Math.pow(factor, Math.max(0, attempt - 1)));
+  if (!jitter) return base;
+  const spread = base * jitter * (random() * 2 - 1);
+  return Math.max(0, Math.round(base + spread));
+}
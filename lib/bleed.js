@@ -0,0 +1,32 @@
+/**
+ * Rechazo de diafonía (bleed): con lavalieres cerca, la voz de A llega al micro de B
+ * unos dB más baja. Una muestra de B se atribuye a otra fuente si está demasiado por
+ * debajo de ella:
+ * - con matriz aprendida en la calibración (bleedMatrix[A][B] = dB que pierde la voz de A
+ *   en el micro de B): B ≤ A − pérdida + audio.bleedMarginDb
+ * - sin matriz para ese par: B ≤ A − audio.bleedDominanceDb
+ */
+
+/** Muestras de otras fuentes más antiguas que esto no se comparan (ms). */
+export const BLEED_MAX_SAMPLE_AGE_MS = 200;
+
+/**
+ * Fuente cuya voz explica el nivel de `sourceId`, o null si es voz propia.
+ * @param {number|string} sourceId
+ * @param {number} db - nivel de la muestra (ya con gainDb)
+ * @param {{ sourceId: number|string, db: number }[]} others - último nivel de las demás fuentes
+ * @param {{ dominanceDb: number, marginDb: number, matrix?: object|null }} options - dominanceDb 0 = solo matriz
+ */
+export function findBleedSource(sourceId, db, others, { dominanceDb, marginDb, matrix = null }) {
+  if (!Number.isFinite(db)) return null;
+  for (const other of others) {
+    if (other.sourceId === sourceId || !Number.isFinite(other.db) || other.db <= db) continue;
+    const lossDb = matrix?.[other.sourceId]?.[sourceId];
+    if (Number.isFinite(lossDb)) {
+      if (db <= other.db - lossDb + marginDb) return other.sourceId;
+    } else if (dominanceDb > 0 && db <= other.db - dominanceDb) {
+      return other.sourceId;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,244 @@
+/**
+ * Calibración de umbrales por fuente de audio (calibrate.js): se escucha la sala en
+ * silencio (ruido de fondo) y luego a cada persona hablando; el umbral de cada fuente
+ * queda entre su ruido y su voz y se guarda en el archivo de configuración.
+ * Mientras habla cada persona se mide también cuánto de su voz llega a los demás
+ * micros (bleedMatrix, ver lib/bleed.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { readConfigFile } from './configLoader.js';
+import { sourceId as toSourceId } from './audioSources.js';
+import { applyGainDb } from './audio.js';
+
+/** Diferencia mínima (nivel normalizado) entre voz y ruido para fiarse del umbral. */
+const MIN_SPEECH_MARGIN = 0.05;
+
+/** dB sobre el ruido de sala de un micro para contar lo que recoge como diafonía. */
+const MIN_BLEED_ABOVE_NOISE_DB = 3;
+
+/**
+ * Muestras de nivel agrupadas por fase ('room', o el id de la fuente que habla) y fuente.
+ * Con `sources` se guardan con el gainDb de cada fuente, como las ve AudioLevelTracker.
+ */
+export class LevelCollector {
+  /**
+   * @param {{ sources?: Map, audio?: { minDb: number, maxDb: number } }} options - sources: resolveAudioSources(config)
+   */
+  constructor({ sources = null, audio = null } = {}) {
+    this.sources = sources;
+    this.audio = audio;
+    /** @type {Map<string|number, Map<number|string, { db: number, normalized: number }[]>>} */
+    this.phases = new Map();
+    this.phase = null;
+  }
+
+  /** Empieza a guardar muestras en la fase indicada (null = no guardar). */
+  start(phase) {
+    this.phase = phase;
+    if (phase != null && !this.phases.has(phase)) this.phases.set(phase, new Map());
+  }
+
+  add(sourceId, db, normalized) {
+    if (this.phase == null) return;
+    const gainDb = this.sources?.get(sourceId)?.gainDb;
+    if (gainDb) ({ db, normalized } = applyGainDb(db, normalized, gainDb, this.audio.minDb, this.audio.maxDb));
+    const bySource = this.phases.get(this.phase);
+    if (!bySource.has(sourceId)) bySource.set(sourceId, []);
+    bySource.get(sourceId).push({ db, normalized });
+  }
+
+  samples(phase, sourceId) {
+    return this.phases.get(phase)?.get(sourceId) ?? [];
+  }
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function mean(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+}
+
+/**
+ * Ruido, voz y umbral de cada fuente.
+ * - ruido: percentil 95 del nivel en silencio
+ * - voz: media del nivel mientras habla (como la media del tracker, con sus pausas)
+ * - umbral: ruido + (voz − ruido) × thresholdPosition
+ * @param {LevelCollector} collector - fases 'room' y una por fuente (su id)
+ * @param {Map} sources - resolveAudioSources(config)
+ * @param {{ thresholdPosition: number }} options
+ * @returns {{ sourceId, name, noiseDb: number|null, speechDb: number|null, noise: number|null, speech: number|null, threshold: number|null, warning: string|null }[]}
+ */
+export function computeThresholds(collector, sources, { thresholdPosition }) {
+  const results = [];
+  for (const source of sources.values()) {
+    const room = collector.samples('room', source.id);
+    const speech = collector.samples(source.id, source.id);
+    const finiteDb = (list) => list.map((s) => s.db).filter(Number.isFinite);
+    const result = {
+      sourceId: source.id,
+      name: source.name,
+      noiseDb: percentile(finiteDb(room), 0.95),
+      speechDb: percentile(finiteDb(speech), 0.5),
+      noise: percentile(room.map((s) => s.normalized), 0.95),
+      speech: mean(speech.map((s) => s.normalized)),
+      threshold: null,
+      warning: null,
+    };
+    if (result.noise == null || result.speech == null) {
+      result.warning = 'sin muestras (¿input sin audio o sin niveles?)';
+    } else if (result.speech - result.noise < MIN_SPEECH_MARGIN) {
+      result.warning = 'la voz apenas supera el ruido: revisa la ganancia del micro';
+    } else {
+      const threshold = result.noise + (result.speech - result.noise) * thresholdPosition;
+      result.threshold = Math.round(threshold * 1000) / 1000;
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Diafonía entre fuentes: en la fase de cada fuente, la mediana de su nivel menos la
+ * de cada una de las demás (dB que pierde su voz en ese micro). Solo los pares en los
+ * que el otro micro recoge algo por encima de su ruido de sala.
+ * @param {LevelCollector} collector
+ * @param {Map} sources - resolveAudioSources(config)
+ * @returns {object} { [fuente]: { [otraFuente]: dB } }
+ */
+export function computeBleedMatrix(collector, sources) {
+  const finiteDb = (phase, id) => collector.samples(phase, id).map((s) => s.db).filter(Number.isFinite);
+  const matrix = {};
+  for (const from of sources.values()) {
+    const speechDb = percentile(finiteDb(from.id, from.id), 0.5);
+    if (speechDb == null) continue;
+    for (const to of sources.values()) {
+      if (to.id === from.id) continue;
+      const bleedDb = percentile(finiteDb(from.id, to.id), 0.5);
+      const noiseDb = percentile(finiteDb('room', to.id), 0.95);
+      if (bleedDb == null || (noiseDb != null && bleedDb < noiseDb + MIN_BLEED_ABOVE_NOISE_DB)) continue;
+      matrix[from.id] ??= {};
+      matrix[from.id][to.id] = Math.round((speechDb - bleedDb) * 10) / 10;
+    }
+  }
+  return matrix;
+}
+
+/**
+ * Archivo del que parte la escritura: el de destino si existe; si no, `seedPath` (la
+ * configuración calibrada, para que el archivo nuevo la conserve entera) o vacío.
+ * @returns {{ fileConfig: object, document: () => YAML.Document }}
+ */
+function readTarget(filePath, seedPath) {
+  const from = [filePath, seedPath].find((p) => p && fs.existsSync(p)) ?? null;
+  const fileConfig = from ? readConfigFile(from) : {};
+  const isYaml = from && ['.yaml', '.yml'].includes(path.extname(from).toLowerCase());
+  return {
+    fileConfig,
+    // En YAML se parte del documento para conservar comentarios y formato
+    document: () => (isYaml ? YAML.parseDocument(fs.readFileSync(from, 'utf8')) : new YAML.Document(fileConfig)),
+  };
+}
+
+/** Dentro del perfil si es él quien define la sección; si no, en la raíz del archivo. */
+function sectionPrefix(fileConfig, section, profile) {
+  return profile && fileConfig.profiles?.[profile]?.[section] !== undefined ? ['profiles', profile] : [];
+}
+
+/**
+ * Escribe los umbrales en el archivo de configuración. Si no existe se crea como copia
+ * de `seedPath` (la configuración calibrada) con los umbrales.
+ * Van en `audioSources[i].threshold` si la configuración usa audioSources y si no en
+ * `cameraMapping.N.threshold`, dentro del perfil si es él quien define esa sección.
+ * En YAML se conservan los comentarios y el formato del resto del archivo.
+ * @param {string} filePath
+ * @param {{ sourceId, threshold: number|null }[]} results - de computeThresholds()
+ * @param {{ config: object, profile?: string|null, seedPath?: string|null }} options - config: la configuración calibrada
+ * @returns {string[]} rutas de las claves escritas
+ */
+export function writeThresholds(filePath, results, { config, profile = null, seedPath = null }) {
+  const target = readTarget(filePath, seedPath);
+  const { fileConfig } = target;
+  const useSources = Array.isArray(config.audioSources);
+  const section = useSources ? 'audioSources' : 'cameraMapping';
+  const prefix = sectionPrefix(fileConfig, section, profile);
+  const inFile = prefix.length ? fileConfig.profiles[profile][section] : fileConfig[section];
+
+  // Rutas (dentro de la sección) de cada umbral
+  const updates = [];
+  for (const { sourceId, threshold } of results) {
+    if (threshold == null) continue;
+    if (useSources) {
+      const index = config.audioSources.findIndex(
+        (e) => toSourceId(Number(e.input), e.source != null ? String(e.source) : null) === sourceId
+      );
+      if (index >= 0) updates.push({ key: index, threshold });
+    } else {
+      updates.push({ key: Number(sourceId), threshold });
+    }
+  }
+
+  // La sección no está en el archivo: se escribe entera (se sustituye completa al cargar)
+  const writeWholeSection = inFile === undefined;
+  const sectionValue = structuredClone(config[section]);
+  for (const { key, threshold } of updates) sectionValue[key].threshold = threshold;
+
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.json') {
+    const data = structuredClone(fileConfig);
+    let target = data;
+    for (const k of prefix) target = target[k];
+    if (writeWholeSection) {
+      target[section] = sectionValue;
+    } else {
+      for (const { key, threshold } of updates) target[section][key].threshold = threshold;
+    }
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+  } else {
+    const doc = target.document();
+    if (writeWholeSection) {
+      doc.setIn([...prefix, section], doc.createNode(sectionValue, { flow: false }));
+    } else {
+      for (const { key, threshold } of updates) {
+        // En YAML las claves de cameraMapping suelen ser números, pero pueden ir entre comillas
+        const yamlKey = useSources || doc.hasIn([...prefix, section, key]) ? key : String(key);
+        doc.setIn([...prefix, section, yamlKey, 'threshold'], threshold);
+      }
+    }
+    fs.writeFileSync(filePath, String(doc));
+  }
+
+  return updates.map(({ key }) => [...prefix, section, key, 'threshold'].join('.'));
+}
+
+/**
+ * Escribe bleedMatrix en el archivo de configuración, junto a la sección de fuentes
+ * (audioSources o cameraMapping) que la define. Sustituye la matriz anterior. Si el
+ * archivo no existe, como writeThresholds().
+ * @returns {string} ruta de la clave escrita
+ */
+export function writeBleedMatrix(filePath, matrix, { config, profile = null, seedPath = null }) {
+  const target = readTarget(filePath, seedPath);
+  const { fileConfig } = target;
+  const section = Array.isArray(config.audioSources) ? 'audioSources' : 'cameraMapping';
+  const keyPath = [...sectionPrefix(fileConfig, section, profile), 'bleedMatrix'];
+
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    const data = structuredClone(fileConfig);
+    let target = data;
+    for (const k of keyPath.slice(0, -1)) target = target[k];
+    target.bleedMatrix = matrix;
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+  } else {
+    const doc = target.document();
+    doc.setIn(keyPath, doc.createNode(matrix, { flow: false }));
+    fs.writeFileSync(filePath, String(doc));
+  }
+  return keyPath.join('.');
+}
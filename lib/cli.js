@@ -0,0 +1,51 @@
+/**
+ * Argumentos de línea de comandos comunes a los scripts.
+ */
+
+import { parseArgs } from 'util';
+
+export const USAGE = `Uso: npm start -- [opciones]
+
+  -c, --config <archivo>   Archivo de configuración JSON o YAML (o ATEM_CONFIG)
+  -p, --profile <nombre>   Perfil del archivo a usar (o ATEM_PROFILE)
+  -P, --preset <nombre>    Preset de decisión: podcast, interview, panel, presentation (o PRESET)
+  -r, --record <archivo>   Graba niveles y cortes en JSONL para replay (o RECORD_PATH)
+  -m, --mock <escenario>   ATEM simulado con un escenario (.yaml/.json o sesión .jsonl)
+  -o, --output <archivo>   Dónde guardar la calibración (npm run calibrate; por defecto, --config)
+  -h, --help               Muestra esta ayuda`;
+
+/**
+ * @param {string[]} argv - normalmente process.argv.slice(2)
+ * @param {object} env - normalmente process.env
+ * @returns {{ configPath: string|null, profile: string|null, preset: string|null, recordPath: string|null, outputPath: string|null, overrides: object, help: boolean, positionals: string[] }}
+ *   overrides: claves de CONFIG fijadas por opciones (se aplican sobre el archivo)
+ */
+export function parseCliArgs(argv, env = process.env) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      config: { type: 'string', short: 'c' },
+      profile: { type: 'string', short: 'p' },
+      preset: { type: 'string', short: 'P' },
+      record: { type: 'string', short: 'r' },
+      mock: { type: 'string', short: 'm' },
+      output: { type: 'string', short: 'o' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const overrides = {};
+  if (values.mock) overrides.switcher = { type: 'mock', scenario: values.mock };
+
+  return {
+    configPath: values.config || env.ATEM_CONFIG || null,
+    profile: values.profile || env.ATEM_PROFILE || null,
+    preset: values.preset || null,
+    recordPath: values.record || null,
+    outputPath: values.output || null,
+    overrides,
+    help: values.help ?? false,
+    positionals,
+  };
+}
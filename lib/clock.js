@@ -0,0 +1,41 @@
+/**
+ * Fuente de tiempo inyectable: en directo, el reloj del sistema; en tests y
+ * simulaciones, un reloj manual que solo avanza cuando se le pide.
+ */
+
+/** Reloj del sistema (por defecto). */
+export const systemClock = {
+  now: () => Date.now(),
+};
+
+/** Reloj manual para tests: now() devuelve siempre el mismo valor hasta advance()/set(). */
+export class ManualClock {
+  /**
+   * @param {number} start - tiempo inicial en ms
+   */
+  constructor(start = 0) {
+    this.time = start;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  /** Avanza el reloj ms milisegundos. */
+  advance(ms) {
+    this.time += ms;
+    return this.time;
+  }
+
+  set(time) {
+    this.time = time;
+  }
+}
+
+/** ms como mm:ss.s (tiempos dentro de una sesión). */
+export function formatTime(ms) {
+  const totalSeconds = ms / 1000;
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = (totalSeconds % 60).toFixed(1).padStart(4, '0');
+  return `${String(minutes).padStart(2, '0')}:${seconds}`;
+}
@@ -0,0 +1,555 @@
+/**
+ * Configuración desde archivo: lectura (JSON o YAML), selección de perfil,
+ * fusión con los valores por defecto de config.js (y el preset, ver lib/presets.js)
+ * y validación.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { PRESETS, PRESET_NAMES } from './presets.js';
+import { sourceId } from './audioSources.js';
+
+/** Claves del archivo que no forman parte de CONFIG. */
+const FILE_ONLY_KEYS = ['profiles', 'defaultProfile'];
+
+/** Opciones válidas de cada cámara en cameraMapping. */
+const CAMERA_KEYS = ['name', 'priority', 'gainDb', 'threshold', 'closeThreshold', 'minOnAirMs', 'cutaway', 'lowerThird'];
+
+/** Opciones válidas de cada entrada de audioSources. */
+const AUDIO_SOURCE_KEYS = ['input', 'source', 'name', 'cameras', 'priority', 'gainDb', 'threshold', 'closeThreshold'];
+
+/** Opciones válidas de cada entrada de groupShots. */
+const GROUP_SHOT_KEYS = ['camera', 'name', 'covers', 'silence'];
+
+/** Transiciones posibles (transition.type). */
+const TRANSITION_TYPES = ['cut', 'mix', 'dip', 'wipe', 'auto'];
+
+/** Secciones que se sustituyen completas en vez de fusionarse clave a clave. */
+const REPLACED_KEYS = ['cameraMapping', 'bleedMatrix'];
+
+/** Secciones con claves libres (se fusionan, pero sus claves no se comprueban aquí sino en validateConfig). */
+const OPEN_KEYS = ['transition.reasons'];
+
+/** Error de configuración con la lista de problemas encontrados. */
+export class ConfigError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} errors - un mensaje por problema
+   */
+  constructor(message, errors = []) {
+    super(errors.length ? `${message}\n  - ${errors.join('\n  - ')}` : message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Lee un archivo de configuración. El formato se elige por extensión
+ * (.yaml/.yml → YAML; el resto → JSON).
+ * @param {string} filePath
+ * @returns {object}
+ */
+export function readConfigFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    throw new ConfigError(`No se pudo leer ${filePath}: ${err.message}`);
+  }
+
+  const ext = path.extname(filePath).toLowerCase();
+  let data;
+  try {
+    data = ext === '.yaml' || ext === '.yml' ? YAML.parse(text) : JSON.parse(text);
+  } catch (err) {
+    throw new ConfigError(`${filePath} no es válido: ${err.message}`);
+  }
+  if (data == null) return {};
+  if (!isPlainObject(data)) {
+    throw new ConfigError(`${filePath} debe contener un objeto en la raíz`);
+  }
+  return data;
+}
+
+/**
+ * Fusión profunda: los objetos se combinan clave a clave, el resto (arrays,
+ * valores simples y las secciones de REPLACED_KEYS) se sustituye.
+ * No modifica `base` ni `override`.
+ */
+export function mergeConfig(base, override) {
+  const result = structuredClone(base);
+  if (!isPlainObject(override)) return result;
+  for (const [key, value] of Object.entries(override)) {
+    if (value === undefined) continue;
+    if (!REPLACED_KEYS.includes(key) && isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = mergeConfig(result[key], value);
+    } else {
+      result[key] = structuredClone(value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Claves de `override` que no existen en `reference` (erratas en el archivo).
+ * No entra en las secciones de REPLACED_KEYS, cuyas claves son ids de input, ni en las de OPEN_KEYS.
+ */
+function findUnknownKeys(reference, override, prefix = '') {
+  const unknown = [];
+  for (const [key, value] of Object.entries(override)) {
+    const keyPath = `${prefix}${key}`;
+    if (!(key in reference)) {
+      unknown.push(keyPath);
+    } else if (
+      !REPLACED_KEYS.includes(key) &&
+      !OPEN_KEYS.includes(keyPath) &&
+      isPlainObject(value) &&
+      isPlainObject(reference[key])
+    ) {
+      unknown.push(...findUnknownKeys(reference[key], value, `${keyPath}.`));
+    }
+  }
+  return unknown;
+}
+
+/**
+ * Devuelve la parte del archivo que aplica: la base más el perfil elegido
+ * (o `defaultProfile` si no se pide ninguno).
+ * @param {object} fileConfig - contenido del archivo
+ * @param {string|null} profileName
+ * @returns {{ overrides: object, profile: string|null }}
+ */
+export function selectProfile(fileConfig, profileName = null) {
+  const { profiles = {}, defaultProfile = null, ...base } = fileConfig;
+  const name = profileName || defaultProfile;
+  if (!name) return { overrides: base, profile: null };
+
+  if (!isPlainObject(profiles) || !isPlainObject(profiles[name])) {
+    const available = isPlainObject(profiles) ? Object.keys(profiles) : [];
+    throw new ConfigError(
+      `Perfil "${name}" no encontrado` +
+        (available.length ? ` (disponibles: ${available.join(', ')})` : ' (el archivo no define perfiles)')
+    );
+  }
+  return { overrides: mergeConfig(base, profiles[name]), profile: name };
+}
+
+/**
+ * Valida una configuración completa.
+ * @param {object} config
+ * @returns {string[]} lista de errores (vacía si es válida)
+ */
+export function validateConfig(config) {
+  const errors = [];
+  const isNonNegative = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+  const isIndex = (v) => Number.isInteger(v) && v >= 0;
+  const checkTiming = (value, name) => {
+    if (value !== undefined && !isNonNegative(value)) {
+      errors.push(`${name} debe ser un número >= 0 (ms), no ${JSON.stringify(value)}`);
+    }
+  };
+  const checkFraction = (value, name) => {
+    if (value !== undefined && !(typeof value === 'number' && value >= 0 && value <= 1)) {
+      errors.push(`${name} debe estar entre 0 y 1, no ${JSON.stringify(value)}`);
+    }
+  };
+
+  if (config.atemIp != null && typeof config.atemIp !== 'string') {
+    errors.push('atemIp debe ser una cadena (ej. "192.168.1.240")');
+  }
+
+  const mapping = config.cameraMapping;
+  if (!isPlainObject(mapping) || Object.keys(mapping).length === 0) {
+    errors.push('cameraMapping debe definir al menos una cámara');
+  } else {
+    for (const [key, cam] of Object.entries(mapping)) {
+      if (!/^\d+$/.test(key) || Number(key) <= 0) {
+        errors.push(`cameraMapping: "${key}" no es un id de input válido (entero positivo)`);
+        continue;
+      }
+      if (!isPlainObject(cam) || typeof cam.name !== 'string' || !cam.name.trim()) {
+        errors.push(`cameraMapping.${key}: falta "name"`);
+        continue;
+      }
+      for (const option of Object.keys(cam)) {
+        if (!CAMERA_KEYS.includes(option)) errors.push(`cameraMapping.${key}: opción desconocida "${option}"`);
+      }
+      for (const option of ['priority', 'gainDb']) {
+        if (cam[option] !== undefined && !Number.isFinite(cam[option])) {
+          errors.push(`cameraMapping.${key}.${option} debe ser un número`);
+        }
+      }
+      for (const option of ['threshold', 'closeThreshold']) {
+        checkFraction(cam[option], `cameraMapping.${key}.${option}`);
+      }
+      checkTiming(cam.minOnAirMs, `cameraMapping.${key}.minOnAirMs`);
+      if (cam.cutaway !== undefined && typeof cam.cutaway !== 'boolean') {
+        errors.push(`cameraMapping.${key}.cutaway debe ser true o false`);
+      }
+      if (cam.lowerThird !== undefined) {
+        const lowerThird = cam.lowerThird;
+        const keys = isPlainObject(lowerThird) ? Object.keys(lowerThird) : [];
+        if (keys.length !== 1 || !['still', 'macro'].includes(keys[0]) || !isIndex(lowerThird[keys[0]])) {
+          errors.push(`cameraMapping.${key}.lowerThird debe ser { still: N } o { macro: N } (índice >= 0)`);
+        }
+      }
+    }
+  }
+
+  if (config.audioSources != null) {
+    if (!Array.isArray(config.audioSources) || config.audioSources.length === 0) {
+      errors.push('audioSources debe ser una lista de fuentes o null');
+    } else {
+      config.audioSources.forEach((entry, i) => {
+        const where = `audioSources[${i}]`;
+        if (!isPlainObject(entry)) {
+          errors.push(`${where} debe ser un objeto { input, cameras }`);
+          return;
+        }
+        for (const option of Object.keys(entry)) {
+          if (!AUDIO_SOURCE_KEYS.includes(option)) errors.push(`${where}: opción desconocida "${option}"`);
+        }
+        if (!Number.isInteger(entry.input) || entry.input <= 0) {
+          errors.push(`${where}.input debe ser un índice Fairlight (ej. 1, 1301 = mic 1)`);
+        }
+        if (entry.source != null && !/^-?\d+$/.test(String(entry.source))) {
+          errors.push(`${where}.source debe ser un id de fuente Fairlight (ej. "-65280")`);
+        }
+        if (entry.name !== undefined && typeof entry.name !== 'string') {
+          errors.push(`${where}.name debe ser una cadena`);
+        }
+        if (!Array.isArray(entry.cameras) || entry.cameras.length === 0) {
+          errors.push(`${where}.cameras debe ser una lista de inputs de cameraMapping`);
+        } else if (isPlainObject(mapping)) {
+          for (const cam of entry.cameras) {
+            if (!mapping[cam]) errors.push(`${where}.cameras: ${JSON.stringify(cam)} no está en cameraMapping`);
+          }
+        }
+        for (const option of ['priority', 'gainDb']) {
+          if (entry[option] !== undefined && !Number.isFinite(entry[option])) {
+            errors.push(`${where}.${option} debe ser un número`);
+          }
+        }
+        for (const option of ['threshold', 'closeThreshold']) {
+          checkFraction(entry[option], `${where}.${option}`);
+        }
+      });
+    }
+  }
+
+  if (config.bleedMatrix != null) {
+    if (!isPlainObject(config.bleedMatrix)) {
+      errors.push('bleedMatrix debe ser un objeto { fuente: { otraFuente: dB } } o null');
+    } else {
+      for (const [from, row] of Object.entries(config.bleedMatrix)) {
+        if (!isPlainObject(row)) {
+          errors.push(`bleedMatrix.${from} debe ser un objeto { otraFuente: dB }`);
+          continue;
+        }
+        for (const [to, lossDb] of Object.entries(row)) {
+          if (!Number.isFinite(lossDb)) errors.push(`bleedMatrix.${from}.${to} debe ser un número (dB)`);
+        }
+      }
+    }
+  }
+
+  if (config.wideCameraId != null) {
+    if (!Number.isInteger(config.wideCameraId)) {
+      errors.push(`wideCameraId debe ser un id de input, no ${JSON.stringify(config.wideCameraId)}`);
+    } else if (isPlainObject(mapping) && !mapping[config.wideCameraId]) {
+      errors.push(`wideCameraId ${config.wideCameraId} no está en cameraMapping (usa null si no hay cámara amplia)`);
+    }
+  }
+
+  if (!Array.isArray(config.groupShots)) {
+    errors.push('groupShots debe ser una lista (vacía si no hay planos de grupo)');
+  } else {
+    config.groupShots.forEach((shot, i) => {
+      const where = `groupShots[${i}]`;
+      if (!isPlainObject(shot)) {
+        errors.push(`${where} debe ser un objeto { camera, covers }`);
+        return;
+      }
+      for (const option of Object.keys(shot)) {
+        if (!GROUP_SHOT_KEYS.includes(option)) errors.push(`${where}: opción desconocida "${option}"`);
+      }
+      if (!Number.isInteger(shot.camera) || (isPlainObject(mapping) && !mapping[shot.camera])) {
+        errors.push(`${where}.camera debe ser un input de cameraMapping`);
+      } else if (shot.camera === config.wideCameraId) {
+        errors.push(`${where}.camera es la cámara amplia (wideCameraId ya cubre a todos)`);
+      }
+      if (!Array.isArray(shot.covers) || shot.covers.length === 0) {
+        errors.push(`${where}.covers debe ser una lista de cámaras de las personas que salen en el plano`);
+      } else if (isPlainObject(mapping)) {
+        for (const cam of shot.covers) {
+          if (!mapping[cam]) errors.push(`${where}.covers: ${JSON.stringify(cam)} no está en cameraMapping`);
+        }
+      }
+      if (shot.name !== undefined && typeof shot.name !== 'string') errors.push(`${where}.name debe ser una cadena`);
+      if (shot.silence !== undefined && typeof shot.silence !== 'boolean') {
+        errors.push(`${where}.silence debe ser true o false`);
+      }
+    });
+  }
+
+  if (config.preset != null && !PRESETS[config.preset]) {
+    errors.push(`preset "${config.preset}" no existe (disponibles: ${PRESET_NAMES.join(', ')})`);
+  }
+  if (config.slidesCameraId != null && !(Number.isInteger(config.slidesCameraId) && mapping?.[config.slidesCameraId])) {
+    errors.push(`slidesCameraId ${JSON.stringify(config.slidesCameraId)} no está en cameraMapping`);
+  }
+  if (!['wide', 'slides'].includes(config.silenceTo)) {
+    errors.push(`silenceTo debe ser "wide" o "slides", no ${JSON.stringify(config.silenceTo)}`);
+  } else if (config.silenceTo === 'slides' && config.slidesCameraId == null) {
+    errors.push('silenceTo "slides" necesita slidesCameraId (input de las diapositivas)');
+  }
+
+  const multiLayout = config.multiLayout ?? {};
+  if (!['wide', 'dve', 'supersource'].includes(multiLayout.mode)) {
+    errors.push(`multiLayout.mode debe ser "wide", "dve" o "supersource", no ${JSON.stringify(multiLayout.mode)}`);
+  } else if (multiLayout.mode !== 'wide') {
+    if (!(Number.isInteger(multiLayout.camera) && mapping?.[multiLayout.camera])) {
+      errors.push(`multiLayout.camera ${JSON.stringify(multiLayout.camera)} no está en cameraMapping (id del layout)`);
+    } else if (multiLayout.camera === config.wideCameraId) {
+      errors.push('multiLayout.camera no puede ser la cámara amplia');
+    }
+  }
+  if (!isIndex(multiLayout.keyer)) {
+    errors.push(`multiLayout.keyer debe ser un índice >= 0, no ${JSON.stringify(multiLayout.keyer)}`);
+  }
+  if (!Array.isArray(multiLayout.boxes) || multiLayout.boxes.length === 0 || !multiLayout.boxes.every(isIndex)) {
+    errors.push('multiLayout.boxes debe ser una lista de índices de caja (0-3)');
+  }
+
+  if (
+    !Array.isArray(config.strategies) ||
+    config.strategies.length === 0 ||
+    !config.strategies.every((entry) => typeof entry === 'string' && entry.trim() !== '')
+  ) {
+    errors.push(`strategies debe ser una lista no vacía de rutas a módulos o "default", no ${JSON.stringify(config.strategies)}`);
+  }
+  checkTiming(config.silenceToWideMs, 'silenceToWideMs');
+  const transition = config.transition ?? {};
+  const checkTransition = (entry, where) => {
+    if (entry.type !== undefined && !TRANSITION_TYPES.includes(entry.type)) {
+      errors.push(`${where}.type debe ser ${TRANSITION_TYPES.map((t) => `"${t}"`).join(', ')}, no ${JSON.stringify(entry.type)}`);
+    }
+    if (entry.duration !== undefined && !(Number.isInteger(entry.duration) && entry.duration >= 1 && entry.duration <= 250)) {
+      errors.push(`${where}.duration debe ser un rate en frames (1-250), no ${JSON.stringify(entry.duration)}`);
+    }
+  };
+  checkTransition(transition, 'transition');
+  if (!isPlainObject(transition.reasons)) {
+    errors.push('transition.reasons debe ser un objeto { razón: { type, duration } }');
+  } else {
+    for (const [reason, entry] of Object.entries(transition.reasons)) {
+      if (!isPlainObject(entry)) {
+        errors.push(`transition.reasons.${reason} debe ser un objeto { type, duration }`);
+        continue;
+      }
+      for (const option of Object.keys(entry)) {
+        if (!['type', 'duration'].includes(option)) errors.push(`transition.reasons.${reason}: opción desconocida "${option}"`);
+      }
+      checkTransition(entry, `transition.reasons.${reason}`);
+    }
+  }
+
+  const audio = config.audio ?? {};
+  for (const key of [
+    'holdTime',
+    'releaseMs',
+    'cooldownTime',
+    'cooldownWideMs',
+    'switchDelayMs',
+    'switchDelayWideMs',
+    'wideHoldBeforeSingleMs',
+  ]) {
+    checkTiming(audio[key], `audio.${key}`);
+  }
+  if (!Number.isFinite(audio.minDb) || !Number.isFinite(audio.maxDb)) {
+    errors.push('audio.minDb y audio.maxDb deben ser números');
+  } else if (audio.minDb >= audio.maxDb) {
+    errors.push(`audio.minDb (${audio.minDb}) debe ser menor que audio.maxDb (${audio.maxDb})`);
+  }
+  for (const key of ['bleedDominanceDb', 'bleedMarginDb']) {
+    if (audio[key] !== undefined && !isNonNegative(audio[key])) {
+      errors.push(`audio.${key} debe ser un número >= 0 (dB), no ${JSON.stringify(audio[key])}`);
+    }
+  }
+  for (const key of ['volumeThreshold', 'minVolumeDifference', 'closeRatio']) {
+    const v = audio[key];
+    if (typeof v !== 'number' || !(v >= 0 && v <= 1)) {
+      errors.push(`audio.${key} debe estar entre 0 y 1, no ${JSON.stringify(v)}`);
+    }
+  }
+
+  const detection = config.detection ?? {};
+  if (!(detection.updateInterval > 0)) {
+    errors.push('detection.updateInterval debe ser > 0 (ms)');
+  }
+  if (!(detection.averageWindowMs > 0)) {
+    errors.push('detection.averageWindowMs debe ser > 0 (ms)');
+  }
+
+  const reconnect = config.reconnect ?? {};
+  for (const key of ['initialDelayMs', 'maxDelayMs', 'connectTimeoutMs']) {
+    checkTiming(reconnect[key], `reconnect.${key}`);
+  }
+  if (!(reconnect.factor >= 1)) {
+    errors.push('reconnect.factor debe ser >= 1');
+  }
+  if (!(reconnect.jitter >= 0 && reconnect.jitter < 1)) {
+    errors.push('reconnect.jitter debe estar entre 0 y 1');
+  }
+  if (!Number.isInteger(reconnect.rediscoverAfterAttempts) || reconnect.rediscoverAfterAttempts < 0) {
+    errors.push('reconnect.rediscoverAfterAttempts debe ser un entero >= 0');
+  }
+
+  const cutaway = config.cutaway ?? {};
+  for (const key of ['maxShotMs', 'durationMs', 'minIntervalMs']) {
+    checkTiming(cutaway[key], `cutaway.${key}`);
+  }
+  if (!['listener', 'wide'].includes(cutaway.target)) {
+    errors.push(`cutaway.target debe ser "listener" o "wide", no ${JSON.stringify(cutaway.target)}`);
+  }
+
+  const lowerThirds = config.lowerThirds ?? {};
+  if (typeof lowerThirds.enabled !== 'boolean' || typeof lowerThirds.mix !== 'boolean') {
+    errors.push('lowerThirds.enabled y lowerThirds.mix deben ser true o false');
+  }
+  for (const key of ['keyer', 'mediaPlayer']) {
+    if (!isIndex(lowerThirds[key])) errors.push(`lowerThirds.${key} debe ser un índice >= 0, no ${JSON.stringify(lowerThirds[key])}`);
+  }
+  for (const key of ['delayMs', 'durationMs', 'repeatAfterMs']) {
+    checkTiming(lowerThirds[key], `lowerThirds.${key}`);
+  }
+
+  const automixer = config.automixer ?? {};
+  if (typeof automixer.enabled !== 'boolean') errors.push('automixer.enabled debe ser true o false');
+  if (!(automixer.depthDb > 0 && automixer.depthDb <= 100)) {
+    errors.push(`automixer.depthDb debe estar entre 0 y 100 (dB), no ${JSON.stringify(automixer.depthDb)}`);
+  }
+  checkTiming(automixer.attackMs, 'automixer.attackMs');
+  checkTiming(automixer.releaseMs, 'automixer.releaseMs');
+  if (automixer.sources != null) {
+    const known = Array.isArray(config.audioSources)
+      ? config.audioSources.map((entry) => sourceId(Number(entry.input), entry.source != null ? String(entry.source) : null))
+      : Object.keys(mapping ?? {}).map(Number);
+    if (!Array.isArray(automixer.sources) || automixer.sources.some((id) => !known.includes(id))) {
+      errors.push(`automixer.sources debe ser null o una lista de fuentes de audio (${known.join(', ')})`);
+    }
+  }
+
+  checkTiming(config.operator?.manualCutGraceMs, 'operator.manualCutGraceMs');
+  if (!['auto', 'suggest', 'hybrid', 'shadow'].includes(config.operator?.mode)) {
+    errors.push(`operator.mode debe ser "auto", "suggest", "hybrid" o "shadow", no ${JSON.stringify(config.operator?.mode)}`);
+  }
+  for (const key of ['autoTakeAfterMs', 'shadowMatchWindowMs']) {
+    if (!(config.operator?.[key] > 0)) errors.push(`operator.${key} debe ser > 0 (ms)`);
+  }
+  checkTiming(config.override?.resumeAfterSilenceMs, 'override.resumeAfterSilenceMs');
+
+  const calibration = config.calibration ?? {};
+  for (const key of ['roomToneMs', 'speechMs']) {
+    if (!(calibration[key] > 0)) errors.push(`calibration.${key} debe ser > 0 (ms)`);
+  }
+  if (!(calibration.thresholdPosition > 0 && calibration.thresholdPosition < 1)) {
+    errors.push('calibration.thresholdPosition debe estar entre 0 y 1');
+  }
+
+  if (config.record?.path != null && typeof config.record.path !== 'string') {
+    errors.push('record.path debe ser una ruta o null');
+  }
+
+  const switcher = config.switcher ?? {};
+  if (!['atem', 'mock'].includes(switcher.type)) {
+    errors.push(`switcher.type debe ser "atem" o "mock", no ${JSON.stringify(switcher.type)}`);
+  }
+  if (switcher.scenario != null && typeof switcher.scenario !== 'string') {
+    errors.push('switcher.scenario debe ser una ruta o null');
+  }
+  if (!(switcher.speed > 0)) {
+    errors.push('switcher.speed debe ser > 0');
+  }
+
+  const api = config.api ?? {};
+  if (!Number.isInteger(api.port) || api.port < 1 || api.port > 65535) {
+    errors.push(`api.port debe ser un puerto válido (1-65535), no ${JSON.stringify(api.port)}`);
+  }
+  if (!(api.levelsIntervalMs > 0)) {
+    errors.push('api.levelsIntervalMs debe ser > 0 (ms)');
+  }
+
+  return errors;
+}
+
+/**
+ * Construye la configuración final: valores por defecto + preset + archivo (+ perfil) +
+ * opciones de línea de comandos, validada.
+ * @param {object} defaults - CONFIG de config.js (no se modifica)
+ * @param {{ configPath?: string|null, profile?: string|null, preset?: string|null, overrides?: object }} options
+ *   preset: manda sobre la clave `preset` del archivo y de defaults
+ * @returns {{ config: object, profile: string|null }}
+ * @throws {ConfigError}
+ */
+export function loadConfig(
+  defaults,
+  { configPath = null, profile = null, preset = null, overrides: cliOverrides = {} } = {}
+) {
+  let overrides = {};
+  let selected = null;
+
+  if (configPath) {
+    const fileConfig = readConfigFile(configPath);
+    ({ overrides, profile: selected } = selectProfile(fileConfig, profile));
+    const unknown = findUnknownKeys(defaults, overrides).filter(
+      (k) => !FILE_ONLY_KEYS.includes(k)
+    );
+    if (unknown.length) {
+      throw new ConfigError(
+        `${configPath}: claves desconocidas`,
+        unknown.map((k) => `"${k}"`)
+      );
+    }
+  } else if (profile) {
+    throw new ConfigError(`Perfil "${profile}" pedido sin archivo de configuración (usa --config)`);
+  }
+
+  const presetName = preset ?? overrides.preset ?? defaults.preset ?? null;
+  const base = PRESETS[presetName] ? mergeConfig(defaults, PRESETS[presetName]) : defaults;
+  const config = mergeConfig(mergeConfig(base, overrides), cliOverrides);
+  config.preset = presetName;
+  const errors = validateConfig(config);
+  if (errors.length) {
+    throw new ConfigError(
+      configPath ? `Configuración inválida (${configPath})` : 'Configuración inválida',
+      errors
+    );
+  }
+  return { config, profile: selected };
+}
+
+/**
+ * Diferencias hoja a hoja entre dos configuraciones (para logs de recarga).
+ * @returns {{ path: string, from: any, to: any }[]}
+ */
+export function diffConfig(before, after, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+  for (const key of keys) {
+    const keyPath = `${prefix}${key}`;
+    const a = before?.[key];
+    const b = after?.[key];
+    if (isPlainObject(a) && isPlainObject(b)) {
+      changes.push(...diffConfig(a, b, `${keyPath}.`));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ path: keyPath, from: a, to: b });
+    }
+  }
+  return changes;
+}
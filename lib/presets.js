@@ -0,0 +1,68 @@
+/**
+ * Presets de decisión por formato de programa: un conjunto coherente de tiempos del
+ * detector y del decider. Se aplican sobre los valores por defecto y debajo del archivo
+ * de configuración (lo que fije el archivo o el perfil manda).
+ * Se eligen con --preset, la clave `preset` del archivo o PRESET, y en marcha con POST /preset.
+ */
+
+export const PRESETS = {
+  /** Conversación tranquila: cortes pausados y se aguanta más en el plano. */
+  podcast: {
+    silenceToWideMs: 3000,
+    silenceTo: 'wide',
+    audio: {
+      holdTime: 400,
+      releaseMs: 900,
+      cooldownTime: 3000,
+      switchDelayMs: 1000,
+      switchDelayWideMs: 400,
+      wideHoldBeforeSingleMs: 4000,
+    },
+  },
+
+  /** Entrevista con ritmo: pregunta-respuesta rápidas, poco tiempo en el plano. */
+  interview: {
+    silenceToWideMs: 2500,
+    silenceTo: 'wide',
+    audio: {
+      holdTime: 200,
+      releaseMs: 500,
+      cooldownTime: 1200,
+      switchDelayMs: 400,
+      switchDelayWideMs: 200,
+      wideHoldBeforeSingleMs: 1500,
+    },
+  },
+
+  /** Mesa de varias personas: más solapes, recursos en intervenciones largas. */
+  panel: {
+    silenceToWideMs: 2000,
+    silenceTo: 'wide',
+    audio: {
+      holdTime: 300,
+      releaseMs: 800,
+      cooldownTime: 2500,
+      switchDelayMs: 700,
+      switchDelayWideMs: 300,
+      wideHoldBeforeSingleMs: 3000,
+    },
+    cutaway: { maxShotMs: 60000 },
+  },
+
+  /** Ponente con diapositivas: en silencio, a las diapositivas (slidesCameraId) en vez de la amplia. */
+  presentation: {
+    silenceToWideMs: 4000,
+    silenceTo: 'slides',
+    audio: {
+      holdTime: 500,
+      releaseMs: 1500,
+      cooldownTime: 4000,
+      switchDelayMs: 1000,
+      switchDelayWideMs: 500,
+      wideHoldBeforeSingleMs: 2000,
+    },
+  },
+};
+
+/** Nombres de los presets disponibles. */
+export const PRESET_NAMES = Object.keys(PRESETS);
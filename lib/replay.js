@@ -0,0 +1,116 @@
+/**
+ * Reproducción offline de una sesión grabada con SessionRecorder a través de la misma
+ * cadena que en directo: AudioLevelTracker → SwitchDecider → SwitchScheduler (+ overrides
+ * por cortes del operador). El tiempo es simulado, así que una hora de show se procesa
+ * en segundos.
+ */
+
+import fs from 'fs';
+import { dbToNormalizedLevel } from './audio.js';
+import { AudioLevelTracker } from './AudioLevelTracker.js';
+import { SwitchDecider } from './SwitchDecider.js';
+import { SwitchScheduler } from './SwitchScheduler.js';
+import { OverrideController } from './OverrideController.js';
+import { ShadowReport } from './ShadowReport.js';
+
+/**
+ * Lee un archivo JSONL de SessionRecorder.
+ * @param {string} filePath
+ * @returns {{ header: object|null, events: object[] }} events ordenados por tiempo
+ */
+export function readSession(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  let header = null;
+  const events = [];
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${filePath}:${i + 1}: línea inválida (${err.message})`);
+    }
+    if (event.type === 'session') {
+      // Si se grabaron varias sesiones en el mismo archivo, vale la primera cabecera
+      header = header ?? event;
+    } else {
+      events.push(event);
+    }
+  });
+  events.sort((a, b) => a.t - b.t);
+  return { header, events };
+}
+
+/**
+ * Pasa los eventos grabados por el decider con la configuración dada.
+ * @param {object[]} events - eventos 'sample' y 'cut' (ver SessionRecorder)
+ * @param {object} config - CONFIG completo a probar
+ * @param {{ startCamera?: number|null, renormalize?: boolean, strategies?: Array }} options
+ *   - startCamera: cámara en programa al empezar la grabación
+ *   - renormalize: recalcular el nivel normalizado desde dB (si cambió audio.minDb/maxDb)
+ *   - strategies: estrategias ya cargadas (loadStrategies); por defecto, la incluida
+ * @returns {{ cuts: { t: number, inputId: number, reason: string, decision: object }[], durationMs: number, shadow: object|null }}
+ *   t relativo al primer evento; shadow: con operator.mode 'shadow', ShadowReport.summary() frente
+ *   a los cortes grabados del operador (que entonces no cambian la cámara del auto)
+ */
+export function replaySession(events, config, { startCamera = null, renormalize = false, strategies } = {}) {
+  const cuts = [];
+  if (events.length === 0) return { cuts, durationMs: 0, shadow: null };
+
+  const tracker = new AudioLevelTracker(config);
+  const decider = new SwitchDecider(config, { strategies });
+  const scheduler = new SwitchScheduler(config);
+  const override = new OverrideController();
+  const { minDb, maxDb } = config.audio;
+  const tickMs = config.detection.updateInterval;
+
+  const t0 = events[0].t;
+  let currentCamera = startCamera;
+  let lastSwitchTime = 0;
+  tracker.lastTimeAnyAudio = t0;
+  const shadow = config.operator?.mode === 'shadow' ? new ShadowReport({ matchWindowMs: config.operator.shadowMatchWindowMs }) : null;
+  shadow?.start(startCamera, t0);
+
+  // Igual que AtemAutoSwitch.evaluateSwitch(), con el tiempo de la grabación
+  const evaluate = (now) => {
+    override.update(now, tracker.getSilenceDuration(now));
+    if (override.isActive()) {
+      scheduler.reset();
+      return;
+    }
+    const decision = decider.decide(tracker, currentCamera, now, lastSwitchTime);
+    const action = scheduler.update(decision, currentCamera, now);
+    if (!action) return;
+    currentCamera = action.targetId;
+    lastSwitchTime = now;
+    shadow?.recordAuto(action.targetId, action.decision.reason, now);
+    cuts.push({ t: now - t0, inputId: action.targetId, reason: action.decision.reason, decision: action.decision });
+  };
+
+  let nextTick = t0 + tickMs;
+  for (const event of events) {
+    // Ticks del intervalo de monitoreo entre muestras
+    for (; nextTick <= event.t; nextTick += tickMs) evaluate(nextTick);
+
+    if (event.type === 'sample') {
+      const db = event.db ?? -Infinity;
+      const normalized = renormalize ? dbToNormalizedLevel(db, minDb, maxDb) : event.normalized;
+      tracker.store(event.inputId, normalized, db, event.t);
+      evaluate(event.t);
+    } else if (event.type === 'cut' && event.source === 'operator' && shadow) {
+      shadow.recordHuman(event.inputId, event.t);
+    } else if (event.type === 'cut' && event.source !== 'auto') {
+      // Cortes externos (operador, API): cambian el programa igual que en directo
+      currentCamera = event.inputId;
+      lastSwitchTime = event.t;
+      scheduler.reset();
+      const graceMs = config.operator?.manualCutGraceMs ?? 0;
+      if (event.source === 'operator' && graceMs > 0) {
+        override.suspend(event.t, { durationMs: graceMs, source: 'operator' });
+      }
+    }
+  }
+
+  const end = events[events.length - 1].t;
+  return { cuts, durationMs: end - t0, shadow: shadow?.summary(end) ?? null };
+}
@@ -0,0 +1,62 @@
+/**
+ * Estrategias de decisión del SwitchDecider: la lista `strategies` de la configuración,
+ * en orden de prioridad. 'default' es la estrategia incluida (lib/DefaultStrategy.js); el
+ * resto son rutas a módulos ES (relativas al directorio de trabajo) cuyo export default es
+ * la estrategia o una función (config) => estrategia (una instancia por decider).
+ *
+ * Una estrategia es un objeto con alguno de estos hooks (todos opcionales):
+ *   update(ctx)               cada tick, antes de proponer (estado propio)
+ *   propose(ctx)              candidato { switchTo, reason, ... } o null para pasar a la siguiente
+ *   rewrite(candidate, ctx)   candidato modificado, null para descartarlo o undefined para dejarlo
+ *   veto(candidate, ctx)      true para que no se corte este tick
+ *   setConfig(config)         recarga en caliente
+ * ctx: { tracker, sourcesWithAudio, silenceDuration, currentCameraId, now, lastSwitchTime,
+ *        timeOnAirMs, config, sources }
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { ConfigError } from './configLoader.js';
+
+/** Nombre de la estrategia incluida en la lista `strategies`. */
+export const DEFAULT_STRATEGY = 'default';
+
+/** Hooks que puede tener una estrategia. */
+export const STRATEGY_HOOKS = ['update', 'propose', 'rewrite', 'veto', 'setConfig'];
+
+/**
+ * Importa los módulos de config.strategies.
+ * @param {object} config
+ * @returns {Promise<Array<'default'|object|Function>>} en el orden de la lista, listas para new SwitchDecider(config, { strategies })
+ * @throws {ConfigError} si un módulo no se puede cargar o no exporta una estrategia
+ */
+export async function loadStrategies(config) {
+  const entries = [];
+  const errors = [];
+  for (const entry of config.strategies) {
+    if (entry === DEFAULT_STRATEGY) {
+      entries.push(entry);
+      continue;
+    }
+    let mod;
+    try {
+      mod = await import(pathToFileURL(path.resolve(entry)).href);
+    } catch (err) {
+      errors.push(`${entry}: ${err.message}`);
+      continue;
+    }
+    const strategy = mod.default;
+    if (typeof strategy === 'function' || hasHooks(strategy)) {
+      entries.push(strategy);
+    } else {
+      errors.push(`${entry}: el export default debe ser una estrategia (${STRATEGY_HOOKS.join(', ')}) o una función que la cree`);
+    }
+  }
+  if (errors.length) throw new ConfigError('No se pudieron cargar las estrategias', errors);
+  return entries;
+}
+
+/** El objeto tiene al menos un hook de estrategia. */
+export function hasHooks(strategy) {
+  return strategy != null && STRATEGY_HOOKS.some((hook) => typeof strategy[hook] === 'function');
+}
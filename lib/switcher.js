@@ -0,0 +1,187 @@
+/**
+ * Backend del switcher: ATEM real (atem-connection) o simulado (MockAtem).
+ */
+
+import { Atem, Enums } from 'atem-connection';
+import { MockAtem, loadScenario } from './MockAtem.js';
+
+/**
+ * @param {object} config - CONFIG completo (usa config.switcher y cameraMapping)
+ * @returns {Atem | MockAtem}
+ */
+export function createSwitcher(config) {
+  const { type, scenario, speed } = config.switcher;
+  if (type === 'mock') {
+    return new MockAtem({
+      timeline: scenario ? loadScenario(scenario) : null,
+      speed,
+      inputs: Object.keys(config.cameraMapping).map(Number),
+    });
+  }
+  return new Atem();
+}
+
+/**
+ * Llama a handler(index, source, levels) con cada nivel de entrada Fairlight que envía
+ * el switcher (evento levelChanged o comando FMLv, según la versión de atem-connection).
+ * Si llegan por las dos vías, solo se usa la primera que haya entregado un nivel: cada
+ * muestra llega una vez.
+ * @param {Atem | MockAtem} atem
+ * @param {(index: number, source: bigint|string|undefined, levels: object) => void} handler
+ */
+export function onFairlightLevels(atem, handler) {
+  let via = null;
+  const deliver = (from, index, source, levels) => {
+    via ??= from;
+    if (via === from) handler(index, source, levels);
+  };
+
+  atem.on('levelChanged', (payload) => {
+    if (payload?.system === 'fairlight' && payload?.type === 'source' && payload?.levels) {
+      deliver('levelChanged', payload.index, payload.source, payload.levels);
+    }
+  });
+
+  atem.on('receivedCommands', (commands) => {
+    if (!Array.isArray(commands)) return;
+    for (const cmd of commands) {
+      const isFmlv =
+        cmd.constructor?.rawName === 'FMLv' ||
+        cmd.constructor?.name === 'FairlightMixerSourceLevelsUpdateCommand';
+      if (isFmlv && cmd.properties && cmd.index !== undefined) {
+        deliver('FMLv', cmd.index, cmd.source, cmd.properties);
+      }
+    }
+  });
+}
+
+/**
+ * Pone un rótulo (ver lib/LowerThirds.js): carga el still en el media player y entra el
+ * DSK (con su transición si mix, o al corte), o ejecuta la macro, que debe usar el mismo DSK.
+ * El fill/key del DSK tiene que ser ese media player (se configura en el ATEM).
+ * @param {Atem | MockAtem} atem
+ * @param {{ still?: number, macro?: number }} lowerThird
+ * @param {{ keyer: number, mediaPlayer: number, mix: boolean }} options - config.lowerThirds
+ */
+export async function showLowerThird(atem, { still, macro }, { keyer, mediaPlayer, mix }) {
+  if (macro != null) {
+    await atem.macroRun(macro);
+    return;
+  }
+  await atem.setMediaPlayerSource({ sourceType: Enums.MediaSourceType.Still, stillIndex: still }, mediaPlayer);
+  if (mix) await atem.autoDownstreamKey(keyer, true);
+  else await atem.setDownstreamKeyOnAir(true, keyer);
+}
+
+/** Quita el rótulo del DSK (con su transición si mix). */
+export async function hideLowerThird(atem, { keyer, mix }) {
+  if (mix) await atem.autoDownstreamKey(keyer, false);
+  else await atem.setDownstreamKeyOnAir(false, keyer);
+}
+
+/** Hay una transición en curso en el M/E 1 o, si se indica keyer, en ese DSK. */
+export function isInTransition(state, keyer = null) {
+  const video = state?.video;
+  return Boolean(video?.mixEffects?.[0]?.transitionPosition?.inTransition || video?.downstreamKeyers?.[keyer]?.inTransition);
+}
+
+/**
+ * Monta las cajas del layout para 2+ hablando (ver lib/MultiLayout.js). En dve, la caja
+ * del USK lleva cameras[1] y se pone en el aire (sin segunda cámara, fuera); el fondo (cameras[0]) es el programa y lo
+ * corta quien llama. En supersource, cada caja de boxes su cámara y las que sobran apagadas.
+ * @param {Atem | MockAtem} atem
+ * @param {(number|null)[]} cameras
+ * @param {{ mode: string, keyer: number, boxes: number[] }} options - config.multiLayout
+ */
+export async function setMultiLayout(atem, cameras, { mode, keyer, boxes }) {
+  if (mode === 'supersource') {
+    for (const [i, box] of boxes.entries()) {
+      const source = cameras[i];
+      await atem.setSuperSourceBoxSettings(source != null ? { enabled: true, source } : { enabled: false }, box);
+    }
+    return;
+  }
+  if (cameras[1] == null) {
+    await atem.setUpstreamKeyerOnAir(false, 0, keyer);
+    return;
+  }
+  await atem.setUpstreamKeyerType({ mixEffectKeyType: Enums.MixEffectKeyType.DVE, flyEnabled: false }, 0, keyer);
+  await atem.setUpstreamKeyerFillSource(cameras[1], 0, keyer);
+  await atem.setUpstreamKeyerOnAir(true, 0, keyer);
+}
+
+/** Desmonta el layout al salir de él (en dve, quita la caja del USK). */
+export async function clearMultiLayout(atem, { mode, keyer }) {
+  if (mode === 'dve') await atem.setUpstreamKeyerOnAir(false, 0, keyer);
+}
+
+/** Estilo del ATEM de cada transition.type (cut y auto no lo cambian). */
+const TRANSITION_STYLES = {
+  mix: Enums.TransitionStyle.MIX,
+  dip: Enums.TransitionStyle.DIP,
+  wipe: Enums.TransitionStyle.WIPE,
+};
+
+/**
+ * Transición para un corte: transition.type/duration con lo de transition.reasons[reason] encima.
+ * @param {object} config
+ * @param {string|null} reason
+ * @returns {{ type: string, duration: number }}
+ */
+export function transitionFor(config, reason) {
+  const { type, duration, reasons } = config.transition;
+  return { type, duration, ...(reason != null ? reasons?.[reason] : null) };
+}
+
+/** fps más bajo de los formatos del ATEM (23,98): con él la duración nunca se queda corta. */
+const MIN_FPS = 23.976;
+
+/** Rate máximo de una transición en el ATEM (con 'auto' no sabemos el que tiene puesto). */
+const MAX_TRANSITION_FRAMES = 250;
+
+/**
+ * Tiempo máximo hasta que el ATEM cambia el programa con esta transición (al acabar).
+ * @param {{ type: string, duration: number }} transition - de transitionFor()
+ * @returns {number} ms (0 en un cut)
+ */
+export function transitionDurationMs({ type, duration }) {
+  if (type === 'cut') return 0;
+  const frames = type === 'auto' ? MAX_TRANSITION_FRAMES : duration;
+  return Math.ceil((frames / MIN_FPS) * 1000);
+}
+
+/**
+ * Lleva inputId a programa con la transición: cut directo, o preview + estilo y rate en el
+ * ATEM + auto transition (con 'auto', la transición que tenga puesta el ATEM).
+ * @param {Atem | MockAtem} atem
+ * @param {number} inputId
+ * @param {{ type: string, duration: number }} transition
+ */
+export async function runTransition(atem, inputId, { type, duration }) {
+  if (type === 'cut') {
+    await atem.changeProgramInput(inputId);
+    return;
+  }
+  await atem.changePreviewInput(inputId);
+  if (type === 'mix') await atem.setMixTransitionSettings({ rate: duration });
+  else if (type === 'dip') await atem.setDipTransitionSettings({ rate: duration });
+  else if (type === 'wipe') await atem.setWipeTransitionSettings({ rate: duration });
+  if (TRANSITION_STYLES[type] !== undefined) await atem.setTransitionStyle({ nextStyle: TRANSITION_STYLES[type] });
+  await atem.autoTransition();
+}
+
+/**
+ * Faders Fairlight de una fuente de audio (resolveAudioSources): la fuente indicada o,
+ * sin ella, todas las del input (el estéreo, o los dos canales si está partido).
+ * @returns {{ source: string, faderGain: number }[]} faderGain en centésimas de dB
+ */
+export function fairlightFaders(state, { input, source }) {
+  const sources = state?.fairlight?.inputs?.[input]?.sources ?? {};
+  const ids = source != null ? [source] : Object.keys(sources);
+  return ids.map((id) => ({ source: id, faderGain: sources[id]?.properties?.faderGain ?? 0 }));
+}
+
+/** Mueve el fader de una fuente Fairlight (centésimas de dB; -10000 = -100 dB). */
+export async function setFairlightFader(atem, input, source, faderGain) {
+  await atem.setFairlightAudioMixerSourceProps(input, source, { faderGain });
+}
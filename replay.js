@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Reproduce una sesión grabada con --record sin ATEM: pasa los niveles por el
+ * tracker, el decider y los retrasos/hold del plano, e imprime los cortes que
+ * saldrían con la configuración indicada (para comparar ajustes).
+ *
+ *   npm run replay -- sesion.jsonl [--config archivo] [--profile nombre]
+ */
+
+import { CONFIG } from './config.js';
+import { parseCliArgs } from './lib/cli.js';
+import { loadConfig, mergeConfig, validateConfig, ConfigError } from './lib/configLoader.js';
+import { readSession, replaySession } from './lib/replay.js';
+import { reasonToText } from './lib/SwitchDecider.js';
+import { loadStrategies } from './lib/strategies.js';
+import { formatTime } from './lib/clock.js';
+import { formatShadowReport } from './lib/ShadowReport.js';
+
+const USAGE = `Uso: npm run replay -- <sesion.jsonl> [opciones]
+
+  -c, --config <archivo>   Ajustes a probar (por defecto, los de la grabación)
+  -p, --profile <nombre>   Perfil del archivo a usar
+  -h, --help               Muestra esta ayuda`;
+
+async function main() {
+  let cli;
+  try {
+    cli = parseCliArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`❌ ${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  const sessionPath = cli.positionals[0];
+  if (cli.help || !sessionPath) {
+    console.log(USAGE);
+    process.exit(cli.help ? 0 : 1);
+  }
+
+  const { header, events } = readSession(sessionPath);
+  if (!header) {
+    console.warn('⚠️  La grabación no tiene cabecera: se usan los valores por defecto');
+  }
+
+  // Base: ajustes con los que se grabó; encima, el archivo a probar
+  const recordedConfig = mergeConfig(CONFIG, header?.config ?? {});
+  let config = recordedConfig;
+  if (cli.configPath) {
+    ({ config } = loadConfig(recordedConfig, cli));
+  } else {
+    const errors = validateConfig(config);
+    if (errors.length) throw new ConfigError('Configuración de la grabación inválida', errors);
+  }
+
+  const renormalize =
+    config.audio.minDb !== recordedConfig.audio.minDb || config.audio.maxDb !== recordedConfig.audio.maxDb;
+  const { cuts, durationMs, shadow } = replaySession(events, config, {
+    startCamera: header?.currentCamera ?? null,
+    renormalize,
+    strategies: await loadStrategies(config),
+  });
+
+  const samples = events.filter((e) => e.type === 'sample');
+  const inputs = new Set(samples.map((e) => e.inputId));
+  console.log(`📼 ${sessionPath}: ${formatTime(durationMs)}, ${samples.length} muestras de ${inputs.size} inputs`);
+  if (cli.configPath) console.log(`   Ajustes: ${cli.configPath}${cli.profile ? ` (perfil "${cli.profile}")` : ''}`);
+
+  console.log(`\n✂️  Cortes (${cuts.length}):`);
+  for (const cut of cuts) {
+    const name = config.cameraMapping[cut.inputId]?.name || `Input ${cut.inputId}`;
+    console.log(`   ${formatTime(cut.t)}  ${name}${reasonToText(cut.decision)}`);
+  }
+
+  const recordedAuto = events.filter((e) => e.type === 'cut' && e.source === 'auto').length;
+  const external = events.filter((e) => e.type === 'cut' && e.source !== 'auto').length;
+  console.log(`\n📊 En directo: ${recordedAuto} cortes automáticos, ${external} manuales/API`);
+  // Sesión grabada en modo shadow: los cortes de estos ajustes frente a los del operador
+  if (shadow) console.log(`\n${formatShadowReport(shadow, config.cameraMapping).join('\n')}`);
+}
+
+main().catch((err) => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+/**
+ * Estrategia de ejemplo (ver lib/strategies.js): mientras el host habla, su cámara.
+ * - rewrite: si hablan 2+ y uno es el host, su cámara en vez del plano de grupo
+ * - veto: no se sale de la cámara del host mientras siga hablando (salvo a otra suya)
+ *
+ *   strategies: ['default', './strategies/host-first.js']
+ *
+ * HOST_CAMERA es el input de su cámara; su fuente de audio es la que la tiene en cameras.
+ */
+
+const HOST_CAMERA = 1;
+
+/** La fuente del host está entre las que hablan. */
+function hostSpeaking({ sourcesWithAudio, sources }) {
+  return sourcesWithAudio.some((s) => sources.get(s.sourceId)?.cameras.includes(HOST_CAMERA));
+}
+
+export default {
+  name: 'host-first',
+
+  rewrite(candidate, ctx) {
+    if (candidate.reason !== 'multi' || !hostSpeaking(ctx)) return undefined;
+    return { ...candidate, switchTo: HOST_CAMERA, reason: 'host', text: 'habla el host' };
+  },
+
+  veto(candidate, ctx) {
+    const hostCameras = [...ctx.sources.values()]
+      .filter((source) => source.cameras.includes(HOST_CAMERA))
+      .flatMap((source) => source.cameras);
+    return hostCameras.includes(ctx.currentCameraId) && !hostCameras.includes(candidate.switchTo) && hostSpeaking(ctx);
+  },
+};
@@ -0,0 +1,436 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { AtemAutoSwitch } from '../auto-switch-atem.js';
+import { ManualClock } from '../lib/clock.js';
+import { dbToNormalizedLevel } from '../lib/audio.js';
+import { testConfig } from './helpers/scenario.js';
+
+/** Switcher mínimo: solo registra los comandos. */
+function fakeSwitcher() {
+  return {
+    state: null,
+    commands: [],
+    async changeProgramInput(inputId) {
+      this.commands.push(['program', inputId]);
+      if (this.state) this.state.video.mixEffects[0].programInput = inputId;
+    },
+    async changePreviewInput(inputId) {
+      this.commands.push(['preview', inputId]);
+    },
+    async autoTransition() {
+      this.commands.push(['auto']);
+    },
+    async setMixTransitionSettings({ rate }) {
+      this.commands.push(['mix', rate]);
+    },
+    async setTransitionStyle() {},
+    async setMediaPlayerSource({ stillIndex }, player) {
+      this.commands.push(['still', stillIndex, player]);
+    },
+    async autoDownstreamKey(key, onAir) {
+      this.commands.push(['dsk', key, onAir]);
+    },
+    async setFairlightAudioMixerSourceProps(index, source, { faderGain }) {
+      this.commands.push(['fader', index, faderGain]);
+      const props = this.state?.fairlight?.inputs?.[index]?.sources?.[source]?.properties;
+      if (props) props.faderGain = faderGain;
+    },
+    async setUpstreamKeyerType() {},
+    async setUpstreamKeyerFillSource(inputId) {
+      this.commands.push(['pip', inputId]);
+    },
+    async setUpstreamKeyerOnAir(onAir) {
+      this.commands.push(['usk', onAir]);
+    },
+  };
+}
+
+/** App "conectada" a un switcher falso, con reloj manual y en el plano. */
+function createApp(config = testConfig()) {
+  const clock = new ManualClock(1_000_000);
+  const app = new AtemAutoSwitch(config, { clock });
+  app.atem = fakeSwitcher();
+  app.isConnected = true;
+  app.currentCamera = 3;
+  app.tracker.lastTimeAnyAudio = clock.now();
+  const cuts = [];
+  app.on('cut', ({ inputId, reason, at }) => cuts.push({ t: at - 1_000_000, inputId, reason }));
+  return { app, clock, cuts };
+}
+
+/** Avanza durationMs como en directo: muestras cada 50 ms y evaluación cada 100 ms. */
+function talk(app, clock, durationMs, talking = {}) {
+  const { minDb, maxDb } = app.config.audio;
+  for (let elapsed = 0; elapsed < durationMs; elapsed += 50) {
+    for (const inputId of [1, 2, 3]) {
+      const db = talking[inputId] ?? -60;
+      app.storeSample(inputId, dbToNormalizedLevel(db, minDb, maxDb), db);
+    }
+    if (elapsed % 100 === 0) app.evaluateSwitch();
+    clock.advance(50);
+  }
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+test('evaluateSwitch usa el reloj inyectado y envía el corte al switcher', () => {
+  const { app, clock, cuts } = createApp();
+  talk(app, clock, 6000, { 1: -12 });
+  assert.deepEqual(cuts, [{ t: 4800, inputId: 1, reason: 'single' }]);
+  assert.deepEqual(app.atem.commands, [['program', 1]]);
+  assert.equal(app.currentCamera, 1);
+});
+
+test('cambio de turno pasa por el plano y el silencio vuelve a él', () => {
+  const { app, clock, cuts } = createApp();
+  talk(app, clock, 6000, { 1: -12 });
+  talk(app, clock, 7000, { 2: -12 });
+  talk(app, clock, 3000);
+  assert.deepEqual(cuts, [
+    { t: 4800, inputId: 1, reason: 'single' },
+    { t: 6600, inputId: 3, reason: 'multi' },
+    { t: 10800, inputId: 2, reason: 'single' },
+    { t: 15300, inputId: 3, reason: 'silence' },
+  ]);
+});
+
+test('un corte manual en el ATEM suspende el auto durante la gracia', () => {
+  const { app, clock, cuts } = createApp(testConfig({ operator: { manualCutGraceMs: 3000 } }));
+  app.handleProgramChange(4);
+  assert.equal(app.currentCamera, 4);
+  assert.equal(app.override.state?.source, 'operator');
+  talk(app, clock, 2000, { 1: -12 });
+  assert.deepEqual(cuts, []);
+  talk(app, clock, 2000, { 1: -12 });
+  assert.deepEqual(cuts, [{ t: 3800, inputId: 1, reason: 'single' }]);
+  assert.equal(app.override.isActive(), false);
+});
+
+test('un corte manual no rebaja un lock ni una pausa de la API', () => {
+  const { app, clock, cuts } = createApp(testConfig({ operator: { manualCutGraceMs: 3000 } }));
+  app.lockCamera(3);
+  app.handleProgramChange(4);
+  talk(app, clock, 6000, { 1: -12 });
+  assert.equal(app.override.state?.type, 'lock');
+  assert.deepEqual(cuts, []);
+
+  // Una pausa con fin anterior a la gracia se alarga hasta ella; una más larga no se acorta
+  app.suspendAuto({ durationMs: 1000 });
+  app.handleProgramChange(2);
+  assert.equal(app.override.state.until, clock.now() + 3000);
+  app.suspendAuto({ durationMs: 10000 });
+  app.handleProgramChange(1);
+  assert.equal(app.override.state.until, clock.now() + 10000);
+  assert.equal(app.override.state.source, 'api');
+});
+
+test('setPreset cambia el preset en marcha y rechaza uno que no existe', () => {
+  const { app } = createApp();
+  app.setPreset('interview');
+  assert.equal(app.config.preset, 'interview');
+  assert.equal(app.config.audio.switchDelayMs, 400);
+  assert.equal(app.getStatus().preset, 'interview');
+  assert.throws(() => app.setPreset('no-existe'), /no existe/);
+  assert.equal(app.config.preset, 'interview');
+  app.setPreset(null);
+  assert.equal(app.config.preset, null);
+});
+
+test('la cámara amplia puesta desde la API sobrevive a un cambio de preset', () => {
+  const { app } = createApp();
+  app.setWideCamera(4);
+  app.setPreset('panel');
+  assert.equal(app.config.preset, 'panel');
+  assert.equal(app.config.wideCameraId, 4);
+  assert.equal(app.decider.config.wideCameraId, 4);
+});
+
+test('rótulo en el DSK al cortar por primera vez a quien habla', async () => {
+  const { app, clock } = createApp(
+    testConfig({
+      cameraMapping: { 1: { name: 'Ana', lowerThird: { still: 4 } } },
+      lowerThirds: { enabled: true, keyer: 1, durationMs: 3000 },
+    })
+  );
+  app.atem.state = { video: { mixEffects: [{ programInput: 3, transitionPosition: { inTransition: false } }] } };
+  talk(app, clock, 7000, { 1: -12 });
+  // El still se carga antes de entrar el DSK
+  await new Promise((resolve) => setImmediate(resolve));
+  talk(app, clock, 3000, { 1: -12 });
+  // corte a 4,8 s; rótulo 1 s después y fuera a los 3 s
+  assert.deepEqual(app.atem.commands, [['program', 1], ['still', 4, 0], ['dsk', 1, true], ['dsk', 1, false]]);
+});
+
+test('multiLayout dve: quien habla sigue de fondo, la otra persona en la caja, y se quita al volver a una', async () => {
+  const { app, clock, cuts } = createApp(
+    testConfig({
+      cameraMapping: { 1: { name: 'Ana' }, 2: { name: 'Beto' }, 3: { name: 'Plano' }, 9: { name: 'PiP' } },
+      multiLayout: { mode: 'dve', camera: 9 },
+    })
+  );
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+  talk(app, clock, 6000, { 1: -12 });
+  talk(app, clock, 3000, { 1: -12, 2: -12 });
+  await flush();
+  assert.deepEqual(app.getStatus().layout, [1, 2]);
+  talk(app, clock, 6000, { 2: -12 });
+  await flush();
+  assert.deepEqual(cuts, [
+    { t: 4800, inputId: 1, reason: 'single' },
+    { t: 6600, inputId: 9, reason: 'multi' },
+    { t: 13800, inputId: 2, reason: 'single' },
+  ]);
+  assert.deepEqual(app.atem.commands, [['program', 1], ['pip', 2], ['usk', true], ['program', 1], ['usk', false], ['program', 2]]);
+});
+
+test('multiLayout dve: el fondo y la caja usan el input del ATEM de cada cámara', async () => {
+  const { app, clock } = createApp(
+    testConfig({
+      cameraMapping: { 1: { name: 'Ana' }, 2: { name: 'Beto' }, 3: { name: 'Plano' }, 9: { name: 'PiP' } },
+      multiLayout: { mode: 'dve', camera: 9 },
+    })
+  );
+  app.atem.state = {
+    inputs: { 1: { inputId: 11 }, 2: { inputId: 12 }, 3: { inputId: 13 } },
+    video: { mixEffects: [{ programInput: 13, transitionPosition: { inTransition: false } }] },
+  };
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+  talk(app, clock, 6000, { 1: -12 });
+  talk(app, clock, 3000, { 1: -12, 2: -12 });
+  await flush();
+  // Calla Ana y entra el plano: cambia el fondo sin salir del layout
+  talk(app, clock, 2000, { 2: -12, 3: -12 });
+  await flush();
+  assert.deepEqual(app.atem.commands, [
+    ['program', 11],
+    ['pip', 12],
+    ['usk', true],
+    ['program', 11],
+    ['pip', 12],
+    ['usk', true],
+    ['program', 13],
+  ]);
+  app.handleProgramChange(13);
+  assert.equal(app.override.isActive(), false);
+});
+
+test('multiLayout dve: un corte del operador con el PiP en el aire quita la caja', async () => {
+  const { app, clock } = createApp(
+    testConfig({
+      cameraMapping: { 1: { name: 'Ana' }, 2: { name: 'Beto' }, 3: { name: 'Plano' }, 9: { name: 'PiP' } },
+      multiLayout: { mode: 'dve', camera: 9 },
+    })
+  );
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+  talk(app, clock, 6000, { 1: -12 });
+  talk(app, clock, 3000, { 1: -12, 2: -12 });
+  await flush();
+  assert.deepEqual(app.getStatus().layout, [1, 2]);
+  app.handleProgramChange(3);
+  await flush();
+  assert.deepEqual(app.atem.commands.at(-1), ['usk', false]);
+  assert.equal(app.getStatus().layout, null);
+  assert.equal(app.currentCamera, 3);
+});
+
+test('transición por razón y sin decisiones nuevas mientras dura', async () => {
+  const { app, clock, cuts } = createApp(testConfig({ transition: { reasons: { silence: { type: 'mix', duration: 50 } } } }));
+  const me = { programInput: 3, transitionPosition: { inTransition: false } };
+  app.atem.state = { video: { mixEffects: [me] } };
+  talk(app, clock, 6000, { 1: -12 });
+  talk(app, clock, 3000);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(app.atem.commands, [['program', 1], ['preview', 3], ['mix', 50], ['auto']]);
+
+  // El mix en curso en el ATEM: aunque B hable, no se decide hasta que acaba
+  me.transitionPosition.inTransition = true;
+  talk(app, clock, 4000, { 2: -12 });
+  assert.equal(cuts.length, 2);
+  me.transitionPosition.inTransition = false;
+  me.programInput = 3;
+  talk(app, clock, 1000, { 2: -12 });
+  // Al acabar (13 s) se decide de nuevo, con su retraso de corte
+  assert.deepEqual(cuts.at(-1), { t: 13800, inputId: 2, reason: 'single' });
+});
+
+test('un mix largo acaba después del margen de corte propio y no cuenta como corte manual', async () => {
+  const { app, clock } = createApp(testConfig({ transition: { reasons: { silence: { type: 'mix', duration: 250 } } } }));
+  const me = { programInput: 1, transitionPosition: { inTransition: false } };
+  app.atem.state = { video: { mixEffects: [me] } };
+  app.lastObservedProgram = 1;
+  talk(app, clock, 6000, { 1: -12 });
+  talk(app, clock, 3000);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(app.atem.commands.slice(-3), [['preview', 3], ['mix', 250], ['auto']]);
+
+  // 250 frames a 25 fps: el programa cambia 10 s después del envío
+  me.transitionPosition.inTransition = true;
+  talk(app, clock, 10000);
+  me.transitionPosition.inTransition = false;
+  me.programInput = 3;
+  app.handleProgramChange(3);
+  assert.equal(app.override.isActive(), false);
+  assert.equal(app.currentCamera, 3);
+});
+
+test('un corte de la API durante un mix espera a que acabe', async () => {
+  const { app, clock, cuts } = createApp(testConfig({ transition: { reasons: { silence: { type: 'mix', duration: 50 } } } }));
+  const me = { programInput: 1, transitionPosition: { inTransition: false } };
+  app.atem.state = { video: { mixEffects: [me] } };
+  app.lastObservedProgram = 1;
+  talk(app, clock, 6000, { 1: -12 });
+  talk(app, clock, 3000);
+  await new Promise((resolve) => setImmediate(resolve));
+  me.transitionPosition.inTransition = true;
+  app.atem.commands.length = 0;
+
+  app.forceCamera(2);
+  talk(app, clock, 1000);
+  assert.deepEqual(app.atem.commands, []);
+  // Acaba el mix: primero su programa (nuestro) y en el siguiente tick el corte pedido
+  me.transitionPosition.inTransition = false;
+  me.programInput = 3;
+  app.handleProgramChange(3);
+  talk(app, clock, 100);
+  assert.deepEqual(app.atem.commands, [['program', 2]]);
+  app.handleProgramChange(2);
+  assert.equal(app.override.isActive(), false);
+  assert.equal(cuts.at(-1).inputId, 2);
+});
+
+test('suggest: la cámara elegida va a preview y cuenta como corte cuando el operador la toma', () => {
+  const { app, clock, cuts } = createApp(testConfig({ operator: { mode: 'suggest' } }));
+  const suggestions = [];
+  app.on('suggestion', (s) => suggestions.push(s && { inputId: s.inputId, reason: s.reason }));
+  talk(app, clock, 6000, { 1: -12 });
+  assert.deepEqual(app.atem.commands, [['preview', 1]]);
+  assert.deepEqual(suggestions, [{ inputId: 1, reason: 'single' }]);
+  assert.equal(app.getStatus().suggestion.inputId, 1);
+  assert.deepEqual(cuts, []);
+
+  // CUT en la botonera: no es un corte manual ni suspende el auto
+  app.handleProgramChange(1);
+  assert.equal(app.currentCamera, 1);
+  assert.equal(app.override.isActive(), false);
+  assert.deepEqual(cuts, [{ t: 6000, inputId: 1, reason: 'single' }]);
+  assert.equal(app.getStatus().suggestion, null);
+
+  talk(app, clock, 6000, { 2: -12 });
+  assert.deepEqual(suggestions.at(-1), { inputId: 2, reason: 'single' });
+  // Si deja de ser la elegida se retira, y la nueva va a preview tras su retraso
+  talk(app, clock, 1000, { 1: -12, 2: -12 });
+  assert.deepEqual(suggestions.slice(-2), [null, { inputId: 3, reason: 'multi' }]);
+  assert.deepEqual(app.atem.commands, [['preview', 1], ['preview', 2], ['preview', 3]]);
+});
+
+test('hybrid: si la sugerencia sigue igual autoTakeAfterMs se corta sola', () => {
+  const { app, clock, cuts } = createApp(testConfig({ operator: { mode: 'hybrid', autoTakeAfterMs: 3000 } }));
+  talk(app, clock, 9000, { 1: -12 });
+  assert.deepEqual(cuts, [{ t: 7800, inputId: 1, reason: 'single' }]);
+  assert.deepEqual(app.atem.commands, [['preview', 1], ['program', 1]]);
+});
+
+test('shadow: no envía nada, el operador no mueve la cámara del auto y sale el informe', () => {
+  const { app, clock, cuts } = createApp(testConfig({ operator: { mode: 'shadow' } }));
+  app.shadow.start(3, clock.now());
+  talk(app, clock, 5500, { 1: -12 });
+  app.handleProgramChange(2);
+  talk(app, clock, 500, { 1: -12 });
+  assert.deepEqual(app.atem.commands, []);
+  assert.deepEqual(cuts, [{ t: 4800, inputId: 1, reason: 'single' }]);
+  assert.equal(app.currentCamera, 1);
+  assert.equal(app.override.isActive(), false);
+
+  const logged = [];
+  console.log.mock.mockImplementation((msg) => logged.push(msg));
+  app.printShadowReport();
+  assert.match(logged.join('\n'), /1 cortes del operador, 1 del auto[\s\S]*Cortes que el auto no hizo \(1\)/);
+});
+
+test('shadow: el lock y los cortes forzados no cuentan como decisiones del auto', () => {
+  const { app, clock } = createApp(testConfig({ operator: { mode: 'shadow' } }));
+  app.shadow.start(3, clock.now());
+  app.lockCamera(2);
+  app.releaseOverride();
+  app.forceCamera(1);
+  assert.equal(app.currentCamera, 1);
+  const summary = app.shadow.summary(clock.now());
+  assert.deepEqual(summary.extra, []);
+  assert.deepEqual(summary.overrides.map((cut) => [cut.inputId, cut.source]), [[2, 'api'], [1, 'api']]);
+});
+
+test('al pasar a shadow en caliente no sale el rótulo ya programado', () => {
+  const config = testConfig({
+    cameraMapping: { 1: { name: 'Ana', lowerThird: { still: 4 } } },
+    lowerThirds: { enabled: true, delayMs: 1000 },
+  });
+  const { app, clock } = createApp(config);
+  const me = { programInput: 3, transitionPosition: { inTransition: false } };
+  app.atem.state = { video: { mixEffects: [me] } };
+  talk(app, clock, 4900, { 1: -12 });
+  assert.deepEqual(app.atem.commands, [['program', 1]]);
+  app.applyConfig(testConfig({ ...config, operator: { mode: 'shadow' } }));
+  talk(app, clock, 3000, { 1: -12 });
+  assert.deepEqual(app.atem.commands, [['program', 1]]);
+});
+
+/** App con automixer (Ana y Beto, release inmediato) y los faders de Ana a 0 dB y Beto a -5 dB. */
+function automixerApp(automixer = {}) {
+  const cameraMapping = { 1: { name: 'Ana' }, 2: { name: 'Beto' } };
+  const { app, clock } = createApp(
+    testConfig({ cameraMapping, automixer: { enabled: true, depthDb: 12, releaseMs: 0, ...automixer } })
+  );
+  const fader = (faderGain) => ({ sources: { '-65280': { properties: { faderGain } } } });
+  app.atem.state = {
+    video: { mixEffects: [{ programInput: 3, transitionPosition: { inTransition: false } }] },
+    fairlight: { inputs: { 1: fader(0), 2: fader(-500) } },
+  };
+  const faderOf = (input) => app.atem.state.fairlight.inputs[input].sources['-65280'].properties;
+  return { app, clock, cameraMapping, faderOf };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test('automixer: baja el fader de quien no habla desde su posición y lo devuelve al desactivarlo', async () => {
+  const { app, clock, cameraMapping } = automixerApp();
+  talk(app, clock, 1000);
+  // Hasta que alguien habla no se baja nadie
+  assert.deepEqual(app.atem.commands, []);
+  talk(app, clock, 1000, { 1: -12 });
+  await flush();
+  // Beto 12 dB desde -5 dB; Ana no se toca
+  assert.deepEqual(app.atem.commands, [['fader', 2, -1700]]);
+  app.atem.commands.length = 0;
+
+  app.applyConfig(testConfig({ cameraMapping }));
+  await flush();
+  assert.deepEqual(app.atem.commands, [['fader', 2, -500]]);
+});
+
+test('automixer: al quitar una cámara en caliente su fader vuelve a su posición', async () => {
+  const { app, clock, cameraMapping } = automixerApp();
+  talk(app, clock, 1000, { 1: -12 });
+  await flush();
+  app.atem.commands.length = 0;
+  app.applyConfig(testConfig({ cameraMapping: { 1: cameraMapping[1] }, automixer: app.config.automixer }));
+  await flush();
+  assert.deepEqual(app.atem.commands, [['fader', 2, -500]]);
+});
+
+test('automixer: si el operador mueve un fader bajado, esa es su nueva posición', async () => {
+  const { app, clock, faderOf } = automixerApp();
+  talk(app, clock, 1000, { 1: -12 });
+  await flush();
+  // Beto bajado a -17 dB; el operador lo sube a -2 dB
+  faderOf(2).faderGain = -200;
+  talk(app, clock, 500, { 1: -12 });
+  await app.restoreAutomixer();
+  assert.equal(faderOf(2).faderGain, -200);
+
+  // Y al volver a bajarlo se parte de ahí
+  talk(app, clock, 1000, { 1: -12 });
+  await flush();
+  assert.deepEqual(app.atem.commands.at(-1), ['fader', 2, -1400]);
+});
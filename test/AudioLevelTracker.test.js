@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioLevelTracker } from '../lib/AudioLevelTracker.js';
+import { ManualClock } from '../lib/clock.js';
+import { testConfig } from './helpers/scenario.js';
+
+test('las muestras sin timestamp usan el reloj inyectado', () => {
+  const clock = new ManualClock(1000);
+  const tracker = new AudioLevelTracker(testConfig(), { clock });
+  tracker.store(1, 0.5, -12);
+  assert.equal(tracker.windows.get(1).last().timestamp, 1000);
+  assert.equal(tracker.lastTimeAnyAudio, 1000);
+  clock.advance(2500);
+  assert.equal(tracker.getSilenceDuration(clock.now()), 2500);
+});
+
+test('una fuente cuenta como "hablando" tras el ataque (holdTime) sobre el umbral', () => {
+  const clock = new ManualClock();
+  const tracker = new AudioLevelTracker(testConfig(), { clock });
+  for (let i = 0; i < 6; i++) {
+    tracker.store(1, 0.5, -12);
+    tracker.store(2, 0, -Infinity);
+    clock.advance(50);
+  }
+  assert.deepEqual(tracker.getSourcesWithAudio(250), []);
+  assert.deepEqual(tracker.getSourcesWithAudio(300), [
+    { sourceId: 1, avgVolume: 0.5, speakingSince: 0 },
+  ]);
+});
+
+test('getSpeakingAloneSince cuenta desde que calló la otra fuente', () => {
+  const tracker = new AudioLevelTracker(testConfig());
+  const feed = (from, to) => {
+    for (let t = from; t < to; t += 50) {
+      tracker.store(1, 0.5, -12, t);
+      tracker.store(2, t < 1000 ? 0.5 : 0, -12, t);
+    }
+  };
+  // 2 baja a los 1000 ms y termina su release (700 ms) a los 1700
+  feed(0, 1500);
+  assert.equal(tracker.getSpeakingAloneSince(1, 1500), null);
+  feed(1500, 3000);
+  assert.equal(tracker.getSpeakingAloneSince(1, 3000), 1000);
+});
+
+test('getBestSingleSource exige minVolumeDifference respecto a la actual', () => {
+  const clock = new ManualClock();
+  const tracker = new AudioLevelTracker(testConfig(), { clock });
+  for (let i = 0; i < 10; i++) {
+    tracker.store(1, 0.5, -12);
+    tracker.store(2, 0.51, -12);
+    clock.advance(50);
+  }
+  assert.equal(tracker.getBestSingleSource(clock.now(), 1), null);
+  assert.equal(tracker.getBestSingleSource(clock.now(), null).sourceId, 2);
+});
+
+test('la media cubre averageWindowMs sea cual sea el ritmo de muestras', () => {
+  const tracker = new AudioLevelTracker(testConfig({ detection: { averageWindowMs: 1000 } }));
+  // 1 cada 20 ms hasta 2 s (nivel 1) y luego 1 cada 200 ms (nivel 0)
+  for (let t = 0; t < 2000; t += 20) tracker.store(1, 1, 0, t);
+  assert.equal(tracker.windows.get(1).length, 50);
+  for (let t = 2000; t <= 2600; t += 200) tracker.store(1, 0, -Infinity, t);
+  // en la ventana (1600, 2600]: 19 muestras a 1 y 4 a 0
+  assert.equal(tracker.getAverage(1, 2600), 19 / 23);
+  // sin muestras nuevas, la ventana se vacía con el tiempo
+  assert.equal(tracker.getAverage(1, 4000), 0);
+});
+
+test('una muestra repetida (mismo instante) sustituye a la anterior', () => {
+  const tracker = new AudioLevelTracker(testConfig());
+  tracker.store(1, 0.2, -30, 100);
+  tracker.store(1, 0.6, -10, 100);
+  tracker.store(1, 0.4, -20, 150);
+  assert.equal(tracker.windows.get(1).length, 2);
+  assert.equal(tracker.getAverage(1, 150), 0.5);
+});
+
+test('gainDb y threshold por cámara', () => {
+  const config = testConfig({
+    cameraMapping: { 1: { name: 'A', gainDb: -20 }, 2: { name: 'B', threshold: 0.6 }, 3: { name: 'C' } },
+  });
+  const tracker = new AudioLevelTracker(config);
+  for (let t = 0; t < 500; t += 50) {
+    for (const id of [1, 2, 3]) tracker.store(id, 0.5, -12, t);
+  }
+  // A: -12 - 20 = -32 dB → por debajo del umbral; B: 0.5 < 0.6
+  assert.deepEqual(tracker.getSourcesWithAudio(500).map((c) => c.sourceId), [3]);
+  assert.ok(tracker.windows.get(1).last().volume < 0.11);
+});
+
+test('a igualdad de nivel gana la cámara con más prioridad', () => {
+  const config = testConfig({
+    cameraMapping: { 1: { name: 'A' }, 2: { name: 'B', priority: 2 }, 3: { name: 'C' } },
+  });
+  const tracker = new AudioLevelTracker(config);
+  for (let t = 0; t < 500; t += 50) {
+    tracker.store(1, 0.51, -12, t);
+    tracker.store(2, 0.5, -12, t);
+  }
+  assert.equal(tracker.getBestSingleSource(500, null).sourceId, 2);
+});
+
+test('una fuente concreta de un input se registra por separado', () => {
+  const config = testConfig({
+    audioSources: [
+      { input: 1, source: '-256', name: 'Izquierda', cameras: [1] },
+      { input: 1, source: '-255', name: 'Derecha', cameras: [2] },
+    ],
+  });
+  const tracker = new AudioLevelTracker(config);
+  for (let t = 0; t < 500; t += 50) {
+    tracker.store('1:-256', 0.5, -12, t);
+    tracker.store('1:-255', 0, -Infinity, t);
+    tracker.store(3, 0.5, -12, t);
+  }
+  assert.deepEqual(tracker.getSourcesWithAudio(500).map((c) => c.sourceId), ['1:-256']);
+  assert.deepEqual(tracker.getLevelSnapshot().map((l) => l.name), ['Izquierda', 'Derecha']);
+});
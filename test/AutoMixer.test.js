@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AutoMixer } from '../lib/AutoMixer.js';
+import { testConfig } from './helpers/scenario.js';
+
+function mixer(automixer = {}) {
+  return new AutoMixer(
+    testConfig({
+      cameraMapping: { 1: { name: 'Ana' }, 2: { name: 'Beto' }, 3: { name: 'Plano' } },
+      automixer: { enabled: true, depthDb: 12, attackMs: 50, releaseMs: 1500, ...automixer },
+    })
+  );
+}
+
+/** Ticks de 100 ms con las mismas fuentes hablando; devuelve los cambios con su instante. */
+function run(automixer, from, to, speaking) {
+  const changes = [];
+  for (let now = from; now < to; now += 100) {
+    for (const { source, gainDb } of automixer.update(new Set(speaking), now)) {
+      changes.push({ now, id: source.id, gainDb: Math.round(gainDb * 10) / 10 });
+    }
+  }
+  return changes;
+}
+
+test('baja en rampa a quien no habla (pasos de 1 dB) y abre de golpe al empezar a hablar', () => {
+  const am = mixer();
+  const changes = run(am, 0, 2000, [1]);
+  assert.equal(changes.some((c) => c.id === 1), false);
+  const beto = changes.filter((c) => c.id === 2);
+  assert.deepEqual(beto[0], { now: 200, id: 2, gainDb: -1.6 });
+  assert.deepEqual(beto.at(-1), { now: 1500, id: 2, gainDb: -12 });
+  assert.ok(beto.length <= 12);
+  assert.equal(am.appliedGain(2), -12);
+
+  // Habla Beto: 50 ms de ataque, abre en el siguiente tick; Ana empieza a bajar
+  const next = run(am, 2000, 2300, [2]);
+  assert.deepEqual(next[0], { now: 2000, id: 2, gainDb: 0 });
+  assert.deepEqual(next.filter((c) => c.id === 1).map((c) => c.gainDb), [-1.6]);
+});
+
+test('en silencio se queda abierta la última fuente que habló', () => {
+  const am = mixer();
+  run(am, 0, 1000, [1]);
+  run(am, 1000, 3000, [2]);
+  run(am, 3000, 6000, []);
+  assert.equal(am.appliedGain(2), 0);
+  assert.equal(am.appliedGain(1), -12);
+  assert.equal(am.appliedGain(3), -12);
+});
+
+test('restore devuelve a 0 dB las fuentes bajadas; sources limita las que controla', () => {
+  const am = mixer({ depthDb: 100, releaseMs: 0 });
+  run(am, 0, 200, [1]);
+  assert.equal(am.appliedGain(2), -100);
+  assert.deepEqual(
+    am.restore().map(({ source, gainDb }) => [source.id, gainDb]),
+    [[2, 0], [3, 0]]
+  );
+  assert.equal(am.appliedGain(2), 0);
+
+  const some = mixer({ sources: [1, 2] });
+  assert.deepEqual(some.sources.map((source) => source.id), [1, 2]);
+});
+
+test('hasta que alguien habla no se baja a nadie', () => {
+  const am = mixer({ releaseMs: 0 });
+  assert.deepEqual(run(am, 0, 1000, []), []);
+  assert.deepEqual(
+    run(am, 1000, 1100, [1]).map((c) => [c.id, c.gainDb]),
+    [[2, -12], [3, -12]]
+  );
+});
+
+test('setConfig devuelve a 0 dB las fuentes bajadas que deja de controlar', () => {
+  const am = mixer({ releaseMs: 0 });
+  run(am, 0, 200, [1]);
+  const config = (automixer) =>
+    testConfig({
+      cameraMapping: { 1: { name: 'Ana' }, 2: { name: 'Beto' }, 3: { name: 'Plano' } },
+      automixer: { ...am.options, ...automixer },
+    });
+  assert.deepEqual(
+    am.setConfig(config({ sources: [1, 2] })).map(({ source, gainDb }) => [source.id, gainDb]),
+    [[3, 0]]
+  );
+  assert.equal(am.appliedGain(3), 0);
+  assert.deepEqual(
+    am.setConfig(config({ enabled: false })).map(({ source }) => source.id),
+    [2]
+  );
+  assert.deepEqual(am.restore(), []);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import { ControlServer } from '../lib/ControlServer.js';
+
+/** App mínima: registra las llamadas de la API. */
+function fakeApp() {
+  const app = new EventEmitter();
+  app.calls = [];
+  app.getStatus = () => ({ ok: true });
+  app.lockCamera = (inputId, options) => {
+    if (inputId !== 2) throw new Error(`Input ${inputId} no configurado`);
+    app.calls.push(['lock', inputId, options]);
+  };
+  app.forceCamera = (inputId) => app.calls.push(['camera', inputId]);
+  app.suspendAuto = (options) => app.calls.push(['suspend', options]);
+  app.config = { override: { resumeAfterSilenceMs: 8000 } };
+  return app;
+}
+
+/** Petición sin red: handleRequest con un stream como cuerpo; devuelve { status, data }. */
+async function request(server, method, url, body = '') {
+  const req = Readable.from(body ? [body] : []);
+  Object.assign(req, { method, url });
+  const res = {};
+  await new Promise((resolve) => {
+    res.writeHead = (status) => (res.status = status);
+    res.end = (text) => {
+      res.data = JSON.parse(text);
+      resolve();
+    };
+    server.handleRequest(req, res);
+  });
+  return { status: res.status, data: res.data };
+}
+
+test('los comandos llegan a la app y sus errores se responden con 400', async () => {
+  const app = fakeApp();
+  const server = new ControlServer(app, { host: '127.0.0.1', port: 0, levelsIntervalMs: 1000 });
+  assert.deepEqual(await request(server, 'POST', '/lock', '{"inputId":2,"durationMs":3000}'), {
+    status: 200,
+    data: { ok: true },
+  });
+  assert.deepEqual(app.calls, [['lock', 2, { durationMs: 3000 }]]);
+  assert.deepEqual(await request(server, 'POST', '/lock', '{"inputId":7}'), {
+    status: 400,
+    data: { error: 'Input 7 no configurado' },
+  });
+  assert.equal((await request(server, 'GET', '/nada')).status, 404);
+});
+
+test('un cuerpo que no es un objeto JSON se rechaza antes de llegar a la app', async () => {
+  const app = fakeApp();
+  const server = new ControlServer(app, { host: '127.0.0.1', port: 0, levelsIntervalMs: 1000 });
+  for (const body of ['null', '[2]', '2', '"x"']) {
+    assert.deepEqual(await request(server, 'POST', '/camera', body), {
+      status: 400,
+      data: { error: 'JSON object expected' },
+    });
+  }
+  assert.deepEqual(await request(server, 'POST', '/camera', '{'), { status: 400, data: { error: 'JSON inválido' } });
+  assert.deepEqual(app.calls, []);
+});
+
+test('/suspend toma resumeAfterSilenceMs de la config si la petición no lo trae', async () => {
+  const app = fakeApp();
+  const server = new ControlServer(app, { host: '127.0.0.1', port: 0, levelsIntervalMs: 1000 });
+  await request(server, 'POST', '/suspend', '{"durationMs":60000}');
+  await request(server, 'POST', '/suspend', '{"resumeAfterSilenceMs":null}');
+  assert.deepEqual(app.calls, [
+    ['suspend', { durationMs: 60000, resumeAfterSilenceMs: 8000 }],
+    ['suspend', { durationMs: null, resumeAfterSilenceMs: null }],
+  ]);
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LevelWindow } from '../lib/LevelWindow.js';
+
+test('crece sin perder el orden cuando el buffer ya ha dado la vuelta', () => {
+  const window = new LevelWindow(1000);
+  // 1 cada 50 ms: 20 en la ventana, el buffer circular avanza sin crecer
+  for (let t = 0; t < 5000; t += 50) window.push(0, -60, t);
+  // ahora 1 cada 5 ms: más muestras que la capacidad inicial
+  for (let t = 5000; t < 5500; t += 5) window.push(1, 0, t);
+  const last = window.last();
+  assert.equal(last.timestamp, 5495);
+  assert.equal(window.length, 10 + 100);
+  assert.equal(window.average(5495), 100 / 110);
+  assert.equal(window.average(6495), 0);
+  assert.equal(window.length, 0);
+});
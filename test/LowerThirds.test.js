@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LowerThirds } from '../lib/LowerThirds.js';
+import { testConfig } from './helpers/scenario.js';
+
+function config(lowerThirds = {}) {
+  return testConfig({
+    cameraMapping: {
+      1: { name: 'Ana', lowerThird: { still: 4 } },
+      2: { name: 'Beto', lowerThird: { macro: 2 } },
+    },
+    lowerThirds: { enabled: true, ...lowerThirds },
+  });
+}
+
+/** Ticks de 100 ms con el programa fijo; devuelve las acciones con su instante. */
+function run(lowerThirds, from, to, program) {
+  const actions = [];
+  for (let now = from; now < to; now += 100) {
+    const action = lowerThirds.update(now, { inTransition: false, ...program });
+    if (action) actions.push({ now, ...action });
+  }
+  return actions;
+}
+
+test('rótulo en el primer corte a quien habla, fuera a los durationMs y no se repite', () => {
+  const lt = new LowerThirds(config());
+  assert.equal(lt.onCut(1, 'single', 0), false);
+  assert.deepEqual(run(lt, 0, 8000, { programInput: 1 }), [
+    { now: 1000, type: 'show', cameraId: 1, lowerThird: { still: 4 } },
+    { now: 7000, type: 'hide', cameraId: 1 },
+  ]);
+  lt.onCut(2, 'single', 8000);
+  run(lt, 8000, 10000, { programInput: 2 });
+  lt.onCut(1, 'single', 10000);
+  assert.deepEqual(run(lt, 10000, 20000, { programInput: 1 }), []);
+});
+
+test('solo por "single": ni recursos, ni plano, ni cortes forzados', () => {
+  const lt = new LowerThirds(config());
+  for (const reason of ['cutaway', 'multi', 'manual']) {
+    lt.onCut(1, reason, 0);
+    assert.deepEqual(run(lt, 0, 3000, { programInput: 1 }), []);
+  }
+});
+
+test('con repeatAfterMs vuelve a salir tras ese tiempo sin estar en programa', () => {
+  const lt = new LowerThirds(config({ repeatAfterMs: 60000 }));
+  lt.onCut(1, 'single', 0);
+  run(lt, 0, 10000, { programInput: 1 });
+  lt.onCut(3, 'multi', 10000);
+  run(lt, 10000, 30000, { programInput: 3 });
+  // 20 s fuera: no
+  lt.onCut(1, 'single', 30000);
+  assert.deepEqual(run(lt, 30000, 40000, { programInput: 1 }), []);
+  lt.onCut(3, 'multi', 40000);
+  run(lt, 40000, 110000, { programInput: 3 });
+  // 70 s fuera: sí
+  lt.onCut(1, 'single', 110000);
+  assert.equal(run(lt, 110000, 112000, { programInput: 1 })[0]?.type, 'show');
+});
+
+test('espera a que acabe la transición y se quita al cortar a otra cámara', () => {
+  const lt = new LowerThirds(config());
+  lt.onCut(2, 'single', 0);
+  assert.deepEqual(run(lt, 0, 1500, { programInput: 2, inTransition: true }), []);
+  assert.deepEqual(run(lt, 1500, 1600, { programInput: 2 }), [
+    { now: 1500, type: 'show', cameraId: 2, lowerThird: { macro: 2 } },
+  ]);
+  // Corte del operador en la botonera: fuera en el siguiente tick sin transición
+  assert.deepEqual(run(lt, 1600, 1800, { programInput: 3, inTransition: true }), []);
+  assert.deepEqual(run(lt, 1800, 1900, { programInput: 3 }), [{ now: 1800, type: 'hide', cameraId: 2 }]);
+
+  // Corte del auto con el rótulo en el aire: hay que quitarlo antes de cortar
+  lt.onCut(1, 'single', 2000);
+  run(lt, 2000, 3100, { programInput: 1 });
+  assert.equal(lt.onCut(3, 'multi', 4000), true);
+  assert.equal(lt.onAir, null);
+});
+
+test('un corte que no llega al programa no pone el rótulo', () => {
+  const lt = new LowerThirds(config());
+  lt.onCut(1, 'single', 0);
+  assert.deepEqual(run(lt, 0, 3000, { programInput: 3 }), []);
+  assert.equal(lt.shownAt.size, 0);
+});
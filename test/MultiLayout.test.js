@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MultiLayout } from '../lib/MultiLayout.js';
+import { testConfig } from './helpers/scenario.js';
+
+const CAMERAS = {
+  1: { name: 'Ana' },
+  2: { name: 'Beto' },
+  3: { name: 'Plano' },
+  4: { name: 'Carla' },
+  5: { name: 'Dani' },
+  6000: { name: 'Split' },
+};
+
+function layout(multiLayout) {
+  return new MultiLayout(testConfig({ cameraMapping: CAMERAS, multiLayout: { camera: 6000, ...multiLayout } }));
+}
+
+/** Fuentes que hablan (sourceId = input, speakingSince en orden). */
+const talking = (...ids) => ids.map((sourceId, i) => ({ sourceId, avgVolume: 0.5, speakingSince: i }));
+
+test('dve: quien estaba en programa queda de fondo y la otra persona en la caja', () => {
+  const pip = layout({ mode: 'dve' });
+  assert.equal(pip.isLayout(6000), true);
+  assert.deepEqual(pip.enter(talking(1, 2), 2), [2, 1]);
+  // Desde el plano: por orden de llegada
+  assert.deepEqual(pip.enter(talking(1, 2), 3), [1, 2]);
+});
+
+test('las cajas siguen a quien habla sin mover a quien sigue hablando', () => {
+  const ssrc = layout({ mode: 'supersource', boxes: [0, 1, 2] });
+  assert.deepEqual(ssrc.enter(talking(1, 2), 3), [1, 2]);
+  assert.equal(ssrc.update(talking(1, 2)), null);
+  assert.deepEqual(ssrc.update(talking(1, 2, 4)), [1, 2, 4]);
+  // Calla Beto: su caja queda libre hasta que llega otra persona
+  assert.deepEqual(ssrc.update(talking(1, 4)), [1, null, 4]);
+  assert.deepEqual(ssrc.update(talking(1, 4, 5)), [1, 5, 4]);
+  // Con menos de 2 hablando no se toca: el decider cortará a quien habla
+  assert.equal(ssrc.update(talking(4)), null);
+});
+
+test('dve: si calla la persona de fondo, entra de fondo quien empieza a hablar', () => {
+  const pip = layout({ mode: 'dve' });
+  pip.enter(talking(1, 2), 1);
+  assert.deepEqual(pip.update(talking(2, 4)), [4, 2]);
+});
+
+test('con mode wide no hay layout', () => {
+  assert.equal(layout({ mode: 'wide' }).isLayout(6000), false);
+});
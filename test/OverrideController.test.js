@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OverrideController } from '../lib/OverrideController.js';
+import { ManualClock } from '../lib/clock.js';
+
+test('un lock temporal expira por tiempo y uno indefinido no', () => {
+  const clock = new ManualClock(1000);
+  const override = new OverrideController();
+  override.lock(2, clock.now(), { durationMs: 5000 });
+  assert.equal(override.lockedInputId, 2);
+  assert.equal(override.describe(clock.advance(2000)).remainingMs, 3000);
+  assert.equal(override.update(clock.advance(2999), 0), null);
+  const result = override.update(clock.advance(1), 0);
+  assert.equal(result.reason, 'timeout');
+  assert.equal(result.ended.inputId, 2);
+  assert.equal(override.isActive(), false);
+  assert.equal(override.describe(clock.now()), null);
+
+  override.lock(3, clock.now());
+  assert.equal(override.update(clock.advance(3_600_000), 60_000), null);
+  assert.equal(override.describe(clock.now()).remainingMs, null);
+});
+
+test('una pausa con resumeAfterSilenceMs se reanuda con silencio, no antes de ese tiempo', () => {
+  const clock = new ManualClock();
+  const override = new OverrideController();
+  override.suspend(clock.now(), { resumeAfterSilenceMs: 4000 });
+  assert.equal(override.lockedInputId, null);
+  // El silencio previo a la pausa no cuenta: hace falta que pase resumeAfterSilenceMs desde ella
+  assert.equal(override.update(clock.advance(1000), 10_000), null);
+  assert.equal(override.update(clock.advance(5000), 3000), null);
+  assert.equal(override.update(clock.advance(1000), 4000).reason, 'silence');
+  assert.equal(override.isActive(), false);
+});
+
+test('extendUntil solo alarga un override temporal y release lo quita', () => {
+  const clock = new ManualClock();
+  const override = new OverrideController();
+  assert.equal(override.extendUntil(5000), null);
+
+  override.suspend(clock.now(), { durationMs: 10_000 });
+  override.extendUntil(4000);
+  assert.equal(override.state.until, 10_000);
+  override.extendUntil(15_000);
+  assert.equal(override.update(clock.advance(10_000), 0), null);
+  assert.equal(override.describe(clock.now()).remainingMs, 5000);
+
+  override.lock(1, clock.now());
+  override.extendUntil(clock.now() + 5000);
+  assert.equal(override.state.until, null);
+  assert.equal(override.release().inputId, 1);
+  assert.equal(override.release(), null);
+});
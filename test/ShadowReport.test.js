@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShadowReport, formatShadowReport } from '../lib/ShadowReport.js';
+import { replaySession } from '../lib/replay.js';
+import { scenarioEvents, testConfig } from './helpers/scenario.js';
+
+const VOICE = -12;
+
+test('coincidencias por cámara dentro de la ventana, con latencia, y cortes sin pareja', () => {
+  const report = new ShadowReport({ matchWindowMs: 3000 });
+  report.start(3, 0);
+  report.recordAuto(1, 'single', 4000);
+  report.recordHuman(1, 5000);
+  report.recordAuto(3, 'multi', 8000);
+  report.recordHuman(2, 9000);
+  report.recordAuto(2, 'single', 20000);
+  const summary = report.summary(30000);
+  assert.deepEqual(summary.matched, [{ at: 5000, inputId: 1, reason: 'single', latencyMs: 1000 }]);
+  assert.deepEqual(summary.missed, [{ at: 9000, inputId: 2 }]);
+  assert.deepEqual(summary.extra, [
+    { at: 8000, inputId: 3, reason: 'multi' },
+    { at: 20000, inputId: 2, reason: 'single' },
+  ]);
+  assert.equal(summary.agreement, 0.5);
+  assert.deepEqual(summary.latency, { meanMs: 1000, medianMs: 1000 });
+  // Misma cámara: 0-4 s (plano), 5-8 s (1) y 20-30 s (2)
+  assert.equal(summary.sameCameraRatio, 17000 / 30000);
+});
+
+test('los cortes por override mueven el programa del auto pero no se comparan', () => {
+  const report = new ShadowReport({ matchWindowMs: 3000 });
+  report.start(3, 0);
+  report.recordAuto(1, 'lock', 1000, { source: 'api' });
+  report.recordHuman(1, 1500);
+  const summary = report.summary(4000);
+  assert.deepEqual(summary.matched, []);
+  assert.deepEqual(summary.extra, []);
+  assert.deepEqual(summary.overrides, [{ at: 1000, inputId: 1, source: 'api' }]);
+  // Misma cámara: 0-1 s (plano) y 1,5-4 s (1)
+  assert.equal(summary.sameCameraRatio, 3500 / 4000);
+  const text = formatShadowReport(summary, { 1: { name: 'Ana' } }).join('\n');
+  assert.match(text, /override, fuera de la comparación \(1\):\n {5}00:01.0 {2}Ana \(api\)/);
+});
+
+test('un corte del auto solo empareja con un corte del operador', () => {
+  const report = new ShadowReport({ matchWindowMs: 3000 });
+  report.start(3, 0);
+  report.recordAuto(1, 'single', 1000);
+  report.recordHuman(1, 1500);
+  report.recordHuman(3, 2000);
+  report.recordHuman(1, 2500);
+  const summary = report.summary(5000);
+  assert.equal(summary.matched.length, 1);
+  assert.deepEqual(summary.missed.map((cut) => cut.at), [2000, 2500]);
+  const text = formatShadowReport(summary, { 1: { name: 'Ana' }, 3: { name: 'Plano' } }).join('\n');
+  assert.match(text, /Coincidencias: 1 \(33% de los del operador\)/);
+  assert.match(text, /00:02.5 {2}Ana/);
+});
+
+test('replay de una sesión shadow: los cortes del operador no mueven al auto y se comparan', () => {
+  const config = testConfig({ operator: { mode: 'shadow' } });
+  const scenario = {
+    inputs: [1, 2, 3],
+    steps: [
+      { durationMs: 5500, talking: { 1: VOICE } },
+      { program: 1 },
+      { durationMs: 500, talking: { 1: VOICE } },
+      { durationMs: 2000, talking: { 2: VOICE } },
+      { program: 2 },
+      { durationMs: 5000, talking: { 2: VOICE } },
+      { program: 4 },
+      { durationMs: 1000, talking: { 2: VOICE } },
+    ],
+  };
+  const { cuts, shadow } = replaySession(scenarioEvents(scenario, config), config, { startCamera: 3 });
+  // Los mismos cortes que sin operador (sin gracia ni sincronizar la cámara)
+  assert.deepEqual(
+    cuts.map(({ t, inputId }) => [t, inputId]),
+    [[4800, 1], [6600, 3], [10800, 2]]
+  );
+  assert.deepEqual(
+    shadow.matched.map(({ at, inputId, latencyMs }) => [at, inputId, latencyMs]),
+    [[5500, 1, 700], [8000, 2, -2800]]
+  );
+  assert.deepEqual(shadow.missed, [{ at: 13000, inputId: 4 }]);
+  assert.deepEqual(shadow.extra, [{ at: 6600, inputId: 3, reason: 'multi' }]);
+  assert.equal(shadow.latency.medianMs, -1050);
+});
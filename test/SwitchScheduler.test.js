@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SwitchScheduler } from '../lib/SwitchScheduler.js';
+import { testConfig } from './helpers/scenario.js';
+
+const single = (switchTo) => ({ switchTo, reason: 'single' });
+const multi = { switchTo: 3, reason: 'multi' };
+
+test('el corte se ejecuta tras switchDelayMs si la decisión se mantiene', () => {
+  const scheduler = new SwitchScheduler(testConfig());
+  assert.equal(scheduler.update(single(1), 2, 0), null);
+  assert.equal(scheduler.update(single(1), 2, 700), null);
+  assert.deepEqual(scheduler.update(single(1), 2, 800), { targetId: 1, decision: single(1), delayMs: 800 });
+});
+
+test('el corte pendiente se cancela si la decisión cambia', () => {
+  const scheduler = new SwitchScheduler(testConfig());
+  scheduler.update(single(1), 2, 0);
+  assert.equal(scheduler.update(null, 2, 500), null);
+  assert.equal(scheduler.update(single(1), 2, 900), null);
+  assert.equal(scheduler.update(single(1), 2, 1600), null);
+  assert.equal(scheduler.update(single(1), 2, 1700)?.targetId, 1);
+});
+
+test('ir al plano usa el retraso amplio', () => {
+  const scheduler = new SwitchScheduler(testConfig());
+  scheduler.update(multi, 1, 0);
+  assert.equal(scheduler.update(multi, 1, 299), null);
+  assert.equal(scheduler.update(multi, 1, 300)?.delayMs, 300);
+});
+
+test('sin decisión o con la cámara actual no queda nada pendiente', () => {
+  const scheduler = new SwitchScheduler(testConfig());
+  scheduler.update(single(1), 3, 0);
+  assert.equal(scheduler.update(single(1), 1, 100), null);
+  assert.equal(scheduler.pendingSwitch, null);
+});
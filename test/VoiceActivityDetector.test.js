@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoiceActivityDetector } from '../lib/VoiceActivityDetector.js';
+
+const options = { open: 0.2, close: 0.1, attackMs: 300, releaseMs: 500 };
+
+/** Aplica niveles cada 50 ms desde `from`. */
+function feed(vad, levels, from = 0) {
+  levels.forEach((level, i) => vad.update(level, from + i * 50));
+}
+
+test('ataque: solo habla tras attackMs por encima del cierre', () => {
+  const vad = new VoiceActivityDetector(options);
+  feed(vad, [0.3, 0.3, 0.15, 0.3, 0.3]);
+  assert.equal(vad.isSpeaking(250), false);
+  assert.equal(vad.isSpeaking(300), true);
+  assert.equal(vad.speakingSince, 0);
+});
+
+test('una caída bajo el cierre durante el ataque lo cancela', () => {
+  const vad = new VoiceActivityDetector(options);
+  feed(vad, [0.3, 0.3, 0.05, 0.3, 0.3, 0.3, 0.3, 0.3]);
+  assert.equal(vad.isSpeaking(400), false);
+  assert.equal(vad.isSpeaking(450), true);
+  assert.equal(vad.speakingSince, 150);
+});
+
+test('release: pausas más cortas que releaseMs no cortan la voz', () => {
+  const vad = new VoiceActivityDetector(options);
+  feed(vad, Array(10).fill(0.3));
+  feed(vad, Array(6).fill(0.05), 500);
+  feed(vad, Array(4).fill(0.12), 800);
+  assert.equal(vad.isSpeaking(1000), true);
+  feed(vad, Array(10).fill(0.05), 1000);
+  assert.equal(vad.isSpeaking(1450), true);
+  assert.equal(vad.isSpeaking(1500), false);
+  assert.equal(vad.silentSince, 1000);
+});
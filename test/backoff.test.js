@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { backoffDelay } from '../lib/backoff.js';
+
+const options = { initialDelayMs: 1000, maxDelayMs: 30_000, factor: 2 };
+
+test('la espera crece exponencialmente hasta maxDelayMs', () => {
+  const delays = [1, 2, 3, 4, 5, 6, 20].map((attempt) => backoffDelay(attempt, options));
+  assert.deepEqual(delays, [1000, 2000, 4000, 8000, 16_000, 30_000, 30_000]);
+});
+
+test('el jitter queda dentro de ±jitter y nunca da una espera negativa', () => {
+  const jittered = { ...options, jitter: 0.2 };
+  assert.equal(backoffDelay(3, jittered, () => 0), 3200);
+  assert.equal(backoffDelay(3, jittered, () => 0.5), 4000);
+  assert.equal(backoffDelay(3, jittered, () => 1), 4800);
+  assert.equal(backoffDelay(1, { ...options, jitter: 1.5 }, () => 0), 0);
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import YAML from 'yaml';
+import { LevelCollector, computeThresholds, computeBleedMatrix, writeThresholds, writeBleedMatrix } from '../lib/calibration.js';
+import { resolveAudioSources } from '../lib/audioSources.js';
+import { dbToNormalizedLevel, parseFairlightLevels } from '../lib/audio.js';
+import { testConfig } from './helpers/scenario.js';
+
+function collect(phases) {
+  const collector = new LevelCollector();
+  for (const [phase, bySource] of Object.entries(phases)) {
+    collector.start(phase === 'room' ? 'room' : Number(phase));
+    for (const [id, normalized] of Object.entries(bySource)) {
+      for (let i = 0; i < 20; i++) collector.add(Number(id), -30, normalized);
+    }
+  }
+  return collector;
+}
+
+test('el umbral queda entre el ruido y la voz de cada fuente', () => {
+  const config = testConfig();
+  const collector = collect({
+    room: { 1: 0.05, 2: 0.1, 3: 0.02, 4: 0.02 },
+    1: { 1: 0.45 },
+    2: { 2: 0.12 },
+  });
+  const results = computeThresholds(collector, resolveAudioSources(config), { thresholdPosition: 0.5 });
+  const byId = Object.fromEntries(results.map((r) => [r.sourceId, r]));
+  assert.equal(byId[1].threshold, 0.25);
+  assert.equal(byId[2].threshold, null);
+  assert.match(byId[2].warning, /ganancia/);
+  assert.match(byId[3].warning, /sin muestras/);
+});
+
+test('con gainDb se calibra sobre el nivel corregido, como lo ve el tracker', () => {
+  const config = testConfig({ cameraMapping: { 1: { name: 'Host' }, 2: { name: 'Invitada', gainDb: -3 }, 3: { name: 'Plano' } } });
+  const sources = resolveAudioSources(config);
+  const { minDb, maxDb } = config.audio;
+  const collector = new LevelCollector({ sources, audio: config.audio });
+  const phase = (name, levels) => {
+    collector.start(name);
+    for (const [id, db] of Object.entries(levels)) {
+      // Como calibrate.js: niveles del medidor, sin la ganancia de la fuente
+      const { normalized } = parseFairlightLevels({ leftLevel: db * 100, rightLevel: db * 100 }, minDb, maxDb);
+      for (let i = 0; i < 20; i++) collector.add(Number(id), db, normalized);
+    }
+  };
+  phase('room', { 1: -35, 2: -35 });
+  phase(1, { 1: -10, 2: -25 });
+  phase(2, { 1: -25, 2: -10 });
+
+  const byId = Object.fromEntries(computeThresholds(collector, sources, { thresholdPosition: 0.5 }).map((r) => [r.sourceId, r]));
+  const expected = (noiseDb, speechDb) => {
+    const noise = dbToNormalizedLevel(noiseDb, minDb, maxDb);
+    return Math.round((noise + (dbToNormalizedLevel(speechDb, minDb, maxDb) - noise) * 0.5) * 1000) / 1000;
+  };
+  assert.equal(byId[1].threshold, expected(-35, -10));
+  assert.equal(byId[2].threshold, expected(-38, -13));
+  assert.equal(byId[2].speechDb, -13);
+  // La diafonía también en la escala corregida: la voz de 1 llega a -28 dB al micro de 2
+  assert.deepEqual(computeBleedMatrix(collector, sources), { 1: { 2: 18 }, 2: { 1: 12 } });
+});
+
+test('writeThresholds conserva los comentarios del YAML y escribe en el perfil', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calib-'));
+  const file = path.join(dir, 'show.yaml');
+  fs.writeFileSync(
+    file,
+    ['# show', 'cameraMapping:', '  1: { name: Host } # host', '  2: { name: Invitado }', '  3: { name: Plano }',
+      'profiles:', '  mics:', '    audioSources:', '      - { input: 1301, cameras: [1] }', ''].join('\n')
+  );
+  const base = testConfig({ cameraMapping: { 1: { name: 'Host' }, 2: { name: 'Invitado' }, 3: { name: 'Plano' } } });
+  writeThresholds(file, [{ sourceId: 1, threshold: 0.2 }], { config: base, profile: null });
+  const mics = testConfig({ ...base, audioSources: [{ input: 1301, cameras: [1] }] });
+  const written = writeThresholds(file, [{ sourceId: 1301, threshold: 0.3 }], { config: mics, profile: 'mics' });
+
+  assert.deepEqual(written, ['profiles.mics.audioSources.0.threshold']);
+  const text = fs.readFileSync(file, 'utf8');
+  assert.match(text, /1: \{ name: Host, threshold: 0.2 \} # host/);
+  assert.match(text, /input: 1301, cameras: \[ 1 \], threshold: 0.3/);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('con --output nuevo se parte de la configuración calibrada', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calib-'));
+  const source = path.join(dir, 'show.yaml');
+  const output = path.join(dir, 'nuevo.yaml');
+  fs.writeFileSync(source, ['# show', 'wideCameraId: 3', 'cameraMapping:', '  1: { name: Host }', '  2: { name: Invitado }', ''].join('\n'));
+  const config = testConfig({ wideCameraId: 3, cameraMapping: { 1: { name: 'Host' }, 2: { name: 'Invitado' } } });
+  writeThresholds(output, [{ sourceId: 1, threshold: 0.2 }], { config, seedPath: source });
+  writeBleedMatrix(output, { 1: { 2: 11 } }, { config, seedPath: source });
+
+  const text = fs.readFileSync(output, 'utf8');
+  assert.match(text, /^# show/);
+  assert.deepEqual(YAML.parse(text), {
+    wideCameraId: 3,
+    cameraMapping: { 1: { name: 'Host', threshold: 0.2 }, 2: { name: 'Invitado' } },
+    bleedMatrix: { 1: { 2: 11 } },
+  });
+  // El original no se toca
+  assert.doesNotMatch(fs.readFileSync(source, 'utf8'), /threshold/);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('la diafonía se mide en la fase de cada fuente, solo si supera el ruido', () => {
+  const config = testConfig({ cameraMapping: { 1: { name: 'Host' }, 2: { name: 'Invitado' }, 3: { name: 'Plano' } } });
+  const collector = new LevelCollector();
+  const phase = (name, levels) => {
+    collector.start(name);
+    for (const [id, db] of Object.entries(levels)) collector.add(Number(id), db, 0);
+  };
+  phase('room', { 1: -50, 2: -50, 3: -45 });
+  phase(1, { 1: -14, 2: -25, 3: -44 });
+  phase(2, { 1: -30, 2: -12, 3: -45 });
+  const matrix = computeBleedMatrix(collector, resolveAudioSources(config));
+  assert.deepEqual(matrix, { 1: { 2: 11 }, 2: { 1: 18 } });
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calib-'));
+  const file = path.join(dir, 'show.yaml');
+  fs.writeFileSync(file, ['profiles:', '  mics:', '    cameraMapping: { 1: { name: Host } }', ''].join('\n'));
+  assert.equal(writeBleedMatrix(file, matrix, { config, profile: 'mics' }), 'profiles.mics.bleedMatrix');
+  assert.deepEqual(YAML.parse(fs.readFileSync(file, 'utf8')).profiles.mics.bleedMatrix, { 1: { 2: 11 }, 2: { 1: 18 } });
+  fs.rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, validateConfig, mergeConfig, diffConfig, ConfigError } from '../lib/configLoader.js';
+import { testConfig } from './helpers/scenario.js';
+
+/** Escribe el archivo en un directorio temporal y carga la configuración con él. */
+function loadFile(text, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  const file = path.join(dir, 'show.yaml');
+  fs.writeFileSync(file, text);
+  try {
+    return loadConfig(testConfig(), { configPath: file, ...options });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('el archivo y el perfil se fusionan sobre los valores por defecto', () => {
+  const { config, profile } = loadFile(
+    ['wideCameraId: 2', 'audio: { holdTime: 500 }', 'defaultProfile: corto', 'profiles:', '  corto:', '    audio: { releaseMs: 400 }', ''].join('\n')
+  );
+  assert.equal(profile, 'corto');
+  assert.equal(config.wideCameraId, 2);
+  assert.equal(config.audio.holdTime, 500);
+  assert.equal(config.audio.releaseMs, 400);
+  assert.equal(config.audio.minDb, testConfig().audio.minDb);
+  assert.throws(() => loadFile('profiles: { corto: {} }\n', { profile: 'largo' }), /Perfil "largo" no encontrado \(disponibles: corto\)/);
+});
+
+test('las claves desconocidas se rechazan con su ruta', () => {
+  assert.throws(
+    () => loadFile('audio: { holdTme: 300 }\nwideCamera: 3\n'),
+    (err) => err instanceof ConfigError && err.errors.join() === '"audio.holdTme","wideCamera"'
+  );
+});
+
+test('validateConfig: cámara amplia fuera de cameraMapping y rango de dB invertido', () => {
+  assert.deepEqual(validateConfig(testConfig()), []);
+  const errors = validateConfig(testConfig({ wideCameraId: 9, audio: { minDb: 0, maxDb: -40 } }));
+  assert.ok(errors.some((e) => /wideCameraId 9 no está en cameraMapping/.test(e)));
+  assert.ok(errors.some((e) => /audio.minDb \(0\) debe ser menor que audio.maxDb \(-40\)/.test(e)));
+  assert.deepEqual(validateConfig(testConfig({ wideCameraId: null })), []);
+});
+
+test('mergeConfig no modifica sus argumentos y diffConfig lista los cambios hoja a hoja', () => {
+  const base = { audio: { holdTime: 300, releaseMs: 700 }, groupShots: [1] };
+  const merged = mergeConfig(base, { audio: { holdTime: 500 }, groupShots: [] });
+  assert.deepEqual(merged, { audio: { holdTime: 500, releaseMs: 700 }, groupShots: [] });
+  assert.deepEqual(base, { audio: { holdTime: 300, releaseMs: 700 }, groupShots: [1] });
+  assert.deepEqual(diffConfig(base, merged), [
+    { path: 'audio.holdTime', from: 300, to: 500 },
+    { path: 'groupShots', from: [1], to: [] },
+  ]);
+});
@@ -0,0 +1,99 @@
+/**
+ * Utilidades de los tests: configuración fija (independiente de las variables de
+ * entorno) y escenarios con el mismo formato que el ATEM simulado (lib/MockAtem.js).
+ */
+
+import { CONFIG } from '../../config.js';
+import { mergeConfig } from '../../lib/configLoader.js';
+import { dbToNormalizedLevel } from '../../lib/audio.js';
+import { compileScenario } from '../../lib/MockAtem.js';
+import { replaySession } from '../../lib/replay.js';
+
+/** Valores por defecto de config.js sin depender del entorno. */
+const TEST_DEFAULTS = {
+  switcher: { type: 'mock', scenario: null, speed: 1 },
+  cameraMapping: {
+    1: { name: 'Ana' },
+    2: { name: 'Beto' },
+    3: { name: 'Plano' },
+    4: { name: 'Cámara 4' },
+  },
+  preset: null,
+  wideCameraId: 3,
+  slidesCameraId: null,
+  silenceTo: 'wide',
+  groupShots: [],
+  multiLayout: { mode: 'wide', camera: null, keyer: 0, boxes: [0, 1, 2, 3] },
+  strategies: ['default'],
+  silenceToWideMs: 2000,
+  transition: { type: 'cut', duration: 30, reasons: {} },
+  audio: {
+    minDb: -40,
+    maxDb: 0,
+    volumeThreshold: 0.11,
+    holdTime: 300,
+    releaseMs: 700,
+    closeRatio: 0.7,
+    cooldownTime: 2000,
+    cooldownWideMs: 400,
+    minVolumeDifference: 0.02,
+    switchDelayMs: 800,
+    switchDelayWideMs: 300,
+    wideHoldBeforeSingleMs: 4000,
+    bleedDominanceDb: 9,
+    bleedMarginDb: 3,
+  },
+  bleedMatrix: null,
+  cutaway: { maxShotMs: 0, durationMs: 3000, minIntervalMs: 20000, target: 'listener' },
+  lowerThirds: { enabled: false, keyer: 0, mediaPlayer: 0, delayMs: 1000, durationMs: 6000, repeatAfterMs: 0, mix: true },
+  automixer: { enabled: false, depthDb: 12, attackMs: 50, releaseMs: 1500, sources: null },
+  detection: { updateInterval: 100, averageWindowMs: 1500 },
+  operator: { manualCutGraceMs: 10000, mode: 'auto', autoTakeAfterMs: 4000, shadowMatchWindowMs: 3000 },
+  override: { resumeAfterSilenceMs: 5000 },
+  record: { path: null },
+  api: { enabled: false },
+  debug: false,
+};
+
+/**
+ * Configuración de test: defaults fijos + overrides.
+ * @param {object} overrides - mismas claves que CONFIG
+ */
+export function testConfig(overrides = {}) {
+  return mergeConfig(mergeConfig(CONFIG, TEST_DEFAULTS), overrides);
+}
+
+/**
+ * Convierte un escenario (steps con talking/program) en eventos de sesión grabada:
+ * una muestra por input cada sampleIntervalMs y los cortes del operador.
+ * @returns {object[]} eventos 'sample' y 'cut' con t desde 0
+ */
+export function scenarioEvents(scenario, config, { sampleIntervalMs = 50, silenceDb = -60 } = {}) {
+  const { inputs, actions, durationMs } = compileScenario(scenario);
+  const { minDb, maxDb } = config.audio;
+  const events = [];
+  actions.forEach((action, i) => {
+    if (action.type === 'program') {
+      events.push({ type: 'cut', t: action.at, inputId: action.inputId, reason: 'manual', source: 'operator' });
+      return;
+    }
+    if (action.type !== 'levels') return;
+    const end = actions.slice(i + 1).find((a) => a.type === 'levels')?.at ?? durationMs;
+    for (let t = action.at; t < end; t += sampleIntervalMs) {
+      for (const inputId of inputs) {
+        const db = action.levels[inputId] ?? silenceDb;
+        events.push({ type: 'sample', t, inputId, db, normalized: dbToNormalizedLevel(db, minDb, maxDb) });
+      }
+    }
+  });
+  return events;
+}
+
+/**
+ * Pasa un escenario por la cadena de decisión (replay) y devuelve los cortes.
+ * @returns {{ t: number, inputId: number, reason: string }[]}
+ */
+export function runScenario(scenario, config = testConfig(), { startCamera = 3, strategies } = {}) {
+  const { cuts } = replaySession(scenarioEvents(scenario, config), config, { startCamera, strategies });
+  return cuts.map(({ t, inputId, reason }) => ({ t, inputId, reason }));
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, ConfigError } from '../lib/configLoader.js';
+import { runScenario, testConfig } from './helpers/scenario.js';
+
+test('el preset va sobre los valores por defecto y debajo del archivo', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preset-'));
+  const file = path.join(dir, 'show.yaml');
+  fs.writeFileSync(file, 'preset: panel\naudio:\n  holdTime: 350\n');
+
+  const { config } = loadConfig(testConfig(), { configPath: file });
+  assert.equal(config.preset, 'panel');
+  assert.equal(config.audio.holdTime, 350);
+  assert.equal(config.audio.switchDelayMs, 700);
+  assert.equal(config.cutaway.maxShotMs, 60000);
+
+  // --preset manda sobre la clave del archivo
+  const { config: interview } = loadConfig(testConfig(), { configPath: file, preset: 'interview' });
+  assert.equal(interview.audio.switchDelayMs, 400);
+  assert.equal(interview.audio.holdTime, 350);
+  assert.equal(interview.cutaway.maxShotMs, 0);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('presentation necesita slidesCameraId y en silencio corta a las diapositivas', () => {
+  assert.throws(() => loadConfig(testConfig(), { preset: 'presentation' }), ConfigError);
+  assert.throws(() => loadConfig(testConfig(), { preset: 'no-existe' }), /disponibles: podcast, interview/);
+
+  const { config } = loadConfig(testConfig(), { preset: 'presentation', overrides: { slidesCameraId: 4 } });
+  const cuts = runScenario(
+    { inputs: [1, 2, 3, 4], steps: [{ durationMs: 6000, talking: { 1: -12 } }, { durationMs: 6000 }, { durationMs: 4000, talking: { 1: -12 } }] },
+    config
+  );
+  assert.deepEqual(
+    cuts.map((c) => [c.inputId, c.reason]),
+    [[1, 'single'], [4, 'silence'], [1, 'single']]
+  );
+});
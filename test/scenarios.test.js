@@ -0,0 +1,288 @@
+/**
+ * Escenarios completos por la cadena tracker → decider → scheduler (replay), con
+ * muestras cada 50 ms y ticks cada 100 ms. Se empieza siempre en el plano (input 3).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runScenario, testConfig } from './helpers/scenario.js';
+
+const VOICE = -12;
+
+test('A habla 5 s, B interrumpe 1 s, hablan los dos y silencio 3 s', () => {
+  const cuts = runScenario({
+    inputs: [1, 2, 3],
+    steps: [
+      { durationMs: 5000, talking: { 1: VOICE } },
+      { durationMs: 1000, talking: { 2: VOICE } },
+      { durationMs: 3000, talking: { 1: VOICE, 2: VOICE } },
+      { durationMs: 3000 },
+    ],
+  });
+  assert.deepEqual(cuts, [
+    // hold del plano (4 s hablando sola desde 0) + retraso de corte (800 ms)
+    { t: 4800, inputId: 1, reason: 'single' },
+    // B habla tras su ataque (300 ms) mientras A sigue en release (700 ms) + retraso amplio (300 ms)
+    { t: 5600, inputId: 3, reason: 'multi' },
+    // el silencio final ya está en el plano: sin más cortes
+  ]);
+});
+
+test('conversación por turnos con silencio final', () => {
+  const cuts = runScenario({
+    inputs: [1, 2, 3],
+    steps: [
+      { durationMs: 1000 },
+      { durationMs: 8000, talking: { 1: VOICE } },
+      { durationMs: 5000, talking: { 2: VOICE } },
+      { durationMs: 4000 },
+    ],
+  });
+  assert.deepEqual(cuts, [
+    { t: 5800, inputId: 1, reason: 'single' },
+    // al cambiar de turno el release de A se solapa con el ataque de B: 2+ hablan
+    { t: 9600, inputId: 3, reason: 'multi' },
+    // B habla sola desde que A calló (9 s) + hold + retraso
+    { t: 13800, inputId: 2, reason: 'single' },
+    // silencioToWide (2 s desde la última muestra con voz) + retraso amplio
+    { t: 16250, inputId: 3, reason: 'silence' },
+  ]);
+});
+
+test('un nivel que ronda el umbral no entra y sale (histéresis)', () => {
+  // -24 dB ≈ 0,13 y -27,5 dB ≈ 0,09: alterna por encima y por debajo del umbral (0,11) sin bajar del cierre (0,077)
+  const steps = [];
+  for (let i = 0; i < 20; i++) steps.push({ durationMs: 150, talking: { 1: -24 } }, { durationMs: 150, talking: { 1: -27.5 } });
+  const cuts = runScenario({ inputs: [1, 2, 3], steps });
+  assert.deepEqual(cuts, [{ t: 4800, inputId: 1, reason: 'single' }]);
+});
+
+test('una interrupción más corta que el hold del plano no corta', () => {
+  const cuts = runScenario({
+    inputs: [1, 2, 3],
+    steps: [
+      { durationMs: 3000, talking: { 1: VOICE } },
+      { durationMs: 1500 },
+    ],
+  });
+  assert.deepEqual(cuts, []);
+});
+
+test('sin hold del plano se corta tras el retraso', () => {
+  const config = testConfig({ audio: { wideHoldBeforeSingleMs: 0 } });
+  const cuts = runScenario({ inputs: [1, 2, 3], steps: [{ durationMs: 3000, talking: { 2: VOICE } }] }, config);
+  assert.deepEqual(cuts, [{ t: 1100, inputId: 2, reason: 'single' }]);
+});
+
+test('el corte del operador suspende el auto durante la gracia', () => {
+  const config = testConfig({ operator: { manualCutGraceMs: 3000 } });
+  const cuts = runScenario(
+    {
+      inputs: [1, 2, 3],
+      steps: [
+        { durationMs: 2000 },
+        { program: 4 },
+        { durationMs: 8000, talking: { 1: VOICE } },
+      ],
+    },
+    config
+  );
+  // Desde la 4 (no es el plano) no hay hold: fin de la gracia (2 s + 3 s) + retraso
+  assert.deepEqual(cuts, [{ t: 5800, inputId: 1, reason: 'single' }]);
+});
+
+test('con prioridad, host + invitado se queda en el host', () => {
+  const config = testConfig({
+    cameraMapping: { 1: { name: 'Host', priority: 1 }, 2: { name: 'Invitado' }, 3: { name: 'Plano' } },
+  });
+  const cuts = runScenario(
+    {
+      inputs: [1, 2, 3],
+      steps: [
+        { durationMs: 6000, talking: { 1: VOICE } },
+        { durationMs: 3000, talking: { 1: VOICE, 2: VOICE } },
+      ],
+    },
+    config
+  );
+  assert.deepEqual(cuts, [{ t: 4800, inputId: 1, reason: 'single' }]);
+});
+
+test('minOnAirMs retrasa el corte desde esa cámara', () => {
+  const config = testConfig({
+    cameraMapping: { 1: { name: 'Ana', minOnAirMs: 5000 }, 2: { name: 'Beto' }, 3: { name: 'Plano' } },
+  });
+  const cuts = runScenario(
+    {
+      inputs: [1, 2, 3],
+      steps: [
+        { durationMs: 6000, talking: { 1: VOICE } },
+        { durationMs: 6000, talking: { 2: VOICE } },
+      ],
+    },
+    config
+  );
+  // sin minOnAirMs iría al plano (multi) a los 6,6 s; con él, 4,8 s + 5 s + retraso
+  assert.deepEqual(cuts, [
+    { t: 4800, inputId: 1, reason: 'single' },
+    { t: 10600, inputId: 2, reason: 'single' },
+  ]);
+});
+
+test('micros 1301/1302 apuntan a cámaras y rotan entre ángulos', () => {
+  const config = testConfig({
+    cameraMapping: { 1: { name: 'Host A' }, 2: { name: 'Invitada' }, 3: { name: 'Plano' }, 4: { name: 'Host B' } },
+    audioSources: [
+      { input: 1301, name: 'Host', cameras: [1, 4] },
+      { input: 1302, name: 'Invitada', cameras: [2] },
+    ],
+    audio: { wideHoldBeforeSingleMs: 0 },
+  });
+  const cuts = runScenario(
+    {
+      inputs: [1, 2, 1301, 1302],
+      steps: [
+        // el audio de las HDMI no cuenta: solo los micros
+        { durationMs: 3000, talking: { 2: VOICE, 1301: VOICE } },
+        { durationMs: 4000, talking: { 1302: VOICE } },
+        { durationMs: 4000, talking: { 1301: VOICE } },
+      ],
+    },
+    config
+  );
+  assert.deepEqual(
+    cuts.map((c) => c.inputId),
+    [1, 3, 2, 3, 4]
+  );
+});
+
+test('la diafonía de A en el micro de B no cuenta como "2+ hablan"', () => {
+  // B recoge la voz de A 10 dB más baja (por encima de su umbral)
+  const scenario = {
+    inputs: [1, 2, 3],
+    steps: [{ durationMs: 8000, talking: { 1: VOICE, 2: VOICE - 10 } }],
+  };
+  assert.deepEqual(runScenario(scenario), [{ t: 4800, inputId: 1, reason: 'single' }]);
+  // sin rechazo hablan "los dos" y se queda en el plano
+  assert.deepEqual(runScenario(scenario, testConfig({ audio: { bleedDominanceDb: 0 } })), []);
+});
+
+test('con bleedMatrix se rechaza la diafonía medida aunque esté cerca', () => {
+  // 6 dB por debajo: más que la dominancia (9 dB), pero la calibración midió 8 dB de 1 → 2
+  const scenario = {
+    inputs: [1, 2, 3],
+    steps: [{ durationMs: 8000, talking: { 1: VOICE, 2: VOICE - 6 } }],
+  };
+  assert.deepEqual(runScenario(scenario), []);
+  const config = testConfig({ bleedMatrix: { 1: { 2: 8 } } });
+  assert.deepEqual(runScenario(scenario, config), [{ t: 4800, inputId: 1, reason: 'single' }]);
+});
+
+test('monólogo largo: recurso a quien escucha y vuelta, rotando', () => {
+  const config = testConfig({ cutaway: { maxShotMs: 10000, durationMs: 3000, minIntervalMs: 15000 } });
+  const cuts = runScenario({ inputs: [1, 2, 3, 4], steps: [{ durationMs: 36000, talking: { 1: VOICE } }] }, config);
+  assert.deepEqual(cuts, [
+    { t: 4800, inputId: 1, reason: 'single' },
+    // 10 s en plano + retraso de corte
+    { t: 15600, inputId: 2, reason: 'cutaway' },
+    // 3 s de recurso + retraso
+    { t: 19400, inputId: 1, reason: 'single' },
+    // el plano ya dura 10 s a los 29,4 s, pero hasta 15 s desde el recurso anterior no hay otro
+    { t: 31400, inputId: 4, reason: 'cutaway' },
+    { t: 35200, inputId: 1, reason: 'single' },
+  ]);
+});
+
+test('cutaway: false excluye la cámara; sin quien escuche (o con target wide) el recurso es el plano', () => {
+  const scenario = { inputs: [1, 2, 3, 4], steps: [{ durationMs: 20000, talking: { 1: VOICE } }] };
+  const cutaway = { maxShotMs: 10000, durationMs: 3000, minIntervalMs: 15000 };
+  const noListener = testConfig({
+    cameraMapping: { 1: { name: 'Ana' }, 2: { name: 'Beto', cutaway: false }, 3: { name: 'Plano' }, 4: { name: 'Cámara 4', cutaway: false } },
+    cutaway,
+  });
+  assert.deepEqual(
+    runScenario(scenario, noListener).map((c) => [c.inputId, c.reason]),
+    [[1, 'single'], [3, 'cutaway'], [1, 'single']]
+  );
+  const toWide = testConfig({ cutaway: { ...cutaway, target: 'wide' } });
+  assert.deepEqual(
+    runScenario(scenario, toWide).map((c) => [c.inputId, c.reason]),
+    [[1, 'single'], [3, 'cutaway'], [1, 'single']]
+  );
+  const fromAna = testConfig({ cameraMapping: { 1: { name: 'Ana', cutaway: false }, 2: { name: 'Beto' }, 3: { name: 'Plano' }, 4: { name: 'Cámara 4' } }, cutaway });
+  assert.deepEqual(runScenario(scenario, fromAna).map((c) => c.reason), ['single']);
+});
+
+test('panel con planos de grupo: el más cerrado que incluye a quienes hablan y rotación en silencio', () => {
+  const config = testConfig({
+    cameraMapping: {
+      1: { name: 'Ana' }, 2: { name: 'Beto' }, 3: { name: 'Carla' }, 4: { name: 'Dani' },
+      5: { name: 'Amplia' }, 6: { name: 'Izquierda' }, 7: { name: 'Derecha' },
+    },
+    wideCameraId: 5,
+    groupShots: [
+      { camera: 6, covers: [1, 2] },
+      { camera: 7, covers: [3, 4], silence: false },
+    ],
+    audio: { wideHoldBeforeSingleMs: 0 },
+  });
+  const cuts = runScenario(
+    {
+      inputs: [1, 2, 3, 4],
+      steps: [
+        { durationMs: 4000, talking: { 1: VOICE, 2: VOICE } },
+        { durationMs: 4000, talking: { 3: VOICE, 4: VOICE } },
+        { durationMs: 4000, talking: { 2: VOICE, 3: VOICE } },
+        { durationMs: 4000, talking: { 1: VOICE } },
+        { durationMs: 4000 },
+        { durationMs: 4000, talking: { 4: VOICE } },
+        { durationMs: 4000 },
+      ],
+    },
+    config,
+    { startCamera: 5 }
+  );
+  assert.deepEqual(
+    cuts.map((c) => [c.inputId, c.reason]),
+    [
+      [6, 'multi'],
+      // al cambiar de pareja el release de 1 y 2 se solapa con 3 y 4: los cuatro → amplia
+      [5, 'multi'],
+      [7, 'multi'],
+      // 2 y 3 no están juntos en ningún plano de grupo
+      [5, 'multi'],
+      [1, 'single'],
+      // silencio: la amplia y luego el plano de grupo 6 (el 7 no entra en la rotación)
+      [5, 'silence'],
+      [4, 'single'],
+      [6, 'silence'],
+    ]
+  );
+});
+
+test('con multiLayout, 2+ hablando va al layout y de ahí a quien queda hablando', () => {
+  const config = testConfig({
+    cameraMapping: { 1: { name: 'Ana' }, 2: { name: 'Beto' }, 3: { name: 'Plano' }, 6000: { name: 'Split' } },
+    multiLayout: { mode: 'supersource', camera: 6000 },
+  });
+  const cuts = runScenario(
+    {
+      inputs: [1, 2, 3],
+      steps: [
+        { durationMs: 6000, talking: { 1: VOICE } },
+        { durationMs: 3000, talking: { 1: VOICE, 2: VOICE } },
+        { durationMs: 6000, talking: { 2: VOICE } },
+        { durationMs: 3000 },
+      ],
+    },
+    config
+  );
+  assert.deepEqual(cuts, [
+    { t: 4800, inputId: 1, reason: 'single' },
+    { t: 6600, inputId: 6000, reason: 'multi' },
+    // desde el layout rige el hold del plano, como desde la amplia
+    { t: 13800, inputId: 2, reason: 'single' },
+    // el silencio va a la amplia, no al layout
+    { t: 17250, inputId: 3, reason: 'silence' },
+  ]);
+});
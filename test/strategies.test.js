@@ -0,0 +1,122 @@
+/**
+ * Estrategias de decisión: cadena propose → rewrite → veto del SwitchDecider y carga de
+ * módulos (lib/strategies.js). Mismos escenarios que test/scenarios.test.js.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runScenario, testConfig } from './helpers/scenario.js';
+import { loadStrategies } from '../lib/strategies.js';
+import { ConfigError } from '../lib/configLoader.js';
+import { reasonToText } from '../lib/SwitchDecider.js';
+import hostFirst from '../strategies/host-first.js';
+
+const VOICE = -12;
+
+/** A habla sola 6 s y luego hablan A y B 3 s. */
+const PAIR = {
+  inputs: [1, 2, 3],
+  steps: [
+    { durationMs: 6000, talking: { 1: VOICE } },
+    { durationMs: 3000, talking: { 1: VOICE, 2: VOICE } },
+  ],
+};
+
+test('sin estrategias propias se decide igual que siempre', () => {
+  const cuts = runScenario(PAIR, testConfig(), { strategies: ['default'] });
+  assert.deepEqual(cuts, [
+    { t: 4800, inputId: 1, reason: 'single' },
+    { t: 6600, inputId: 3, reason: 'multi' },
+  ]);
+});
+
+test('la primera estrategia que propone gana; null pasa a la siguiente', () => {
+  const calls = [];
+  const late = {
+    name: 'tarde',
+    propose: ({ now }) => {
+      calls.push(now);
+      return now >= 8000 ? { switchTo: 4, reason: 'tarde' } : null;
+    },
+  };
+  const scenario = { ...PAIR, steps: [...PAIR.steps, { durationMs: 2000, talking: { 1: VOICE, 2: VOICE } }] };
+  const cuts = runScenario(scenario, testConfig(), { strategies: [late, 'default'] });
+  assert.deepEqual(cuts, [
+    { t: 4800, inputId: 1, reason: 'single' },
+    { t: 6600, inputId: 3, reason: 'multi' },
+    // 'tarde' propone desde 8 s: cooldown desde el corte anterior (2 s) + retraso de corte
+    { t: 9400, inputId: 4, reason: 'tarde' },
+  ]);
+  assert.ok(calls.length > 0);
+});
+
+test('sin "default" solo deciden las estrategias de la lista', () => {
+  const factory = (config) => ({
+    propose: ({ sourcesWithAudio }) =>
+      sourcesWithAudio.length === 2 ? { switchTo: config.wideCameraId, reason: 'multi' } : null,
+  });
+  // Desde la cámara de A: solo decide la estrategia de la lista
+  const cuts = runScenario(PAIR, testConfig(), { strategies: [factory], startCamera: 1 });
+  assert.deepEqual(cuts, [{ t: 6600, inputId: 3, reason: 'multi' }]);
+});
+
+test('rewrite y veto: la estrategia de ejemplo mantiene al host en pantalla', () => {
+  const cuts = runScenario(
+    {
+      inputs: [1, 2, 3],
+      steps: [
+        { durationMs: 6000, talking: { 1: VOICE } },
+        { durationMs: 3000, talking: { 1: VOICE, 2: VOICE } },
+        { durationMs: 6000, talking: { 2: VOICE } },
+      ],
+    },
+    testConfig(),
+    { strategies: ['default', hostFirst] }
+  );
+  assert.deepEqual(cuts, [
+    { t: 4800, inputId: 1, reason: 'single' },
+    // 2+ hablan con el host: se reescribe a su cámara (ya en programa) y no hay corte;
+    // B sola desde que A calla (9 s + release) + retraso de corte
+    { t: 10500, inputId: 2, reason: 'single' },
+  ]);
+  assert.equal(reasonToText({ reason: 'host', text: 'habla el host' }), ' (habla el host)');
+});
+
+test('un hook que falla se avisa una vez y no para la decisión', (t) => {
+  const errors = [];
+  t.mock.method(console, 'error', (msg) => errors.push(msg));
+  const broken = {
+    name: 'rota',
+    veto: () => {
+      throw new Error('boom');
+    },
+  };
+  const cuts = runScenario(PAIR, testConfig(), { strategies: ['default', broken] });
+  assert.equal(cuts.length, 2);
+  assert.deepEqual(errors, ['❌ Estrategia rota.veto: boom']);
+});
+
+test('loadStrategies importa módulos y rechaza los que no exportan una estrategia', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'strategies-'));
+  try {
+    const good = path.join(dir, 'good.js');
+    const bad = path.join(dir, 'bad.js');
+    fs.writeFileSync(good, 'export default { propose: () => null };\n');
+    fs.writeFileSync(bad, 'export default 42;\n');
+
+    const loaded = await loadStrategies(testConfig({ strategies: [good, 'default'] }));
+    assert.equal(loaded.length, 2);
+    assert.equal(typeof loaded[0].propose, 'function');
+    assert.equal(loaded[1], 'default');
+
+    await assert.rejects(
+      loadStrategies(testConfig({ strategies: [bad, path.join(dir, 'missing.js')] })),
+      (err) => err instanceof ConfigError && err.errors.length === 2
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { onFairlightLevels, transitionFor, runTransition } from '../lib/switcher.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, ConfigError } from '../lib/configLoader.js';
+import { testConfig } from './helpers/scenario.js';
+
+/** Como el comando FMLv de atem-connection (se reconoce por rawName). */
+class FMLv {
+  static rawName = 'FMLv';
+  constructor(index, source, properties) {
+    Object.assign(this, { index, source, properties });
+  }
+}
+
+test('cada nivel llega una vez aunque el ATEM emita levelChanged y FMLv', () => {
+  const atem = new EventEmitter();
+  const received = [];
+  onFairlightLevels(atem, (index, _source, levels) => received.push([index, levels.leftLevel]));
+  const emit = (index, level) => {
+    const levels = { leftLevel: level, rightLevel: level };
+    atem.emit('levelChanged', { system: 'fairlight', type: 'source', index, source: -65280n, levels });
+    atem.emit('receivedCommands', [new FMLv(index, -65280n, levels)]);
+  };
+  emit(1, -1200);
+  emit(2, -3000);
+  assert.deepEqual(received, [[1, -1200], [2, -3000]]);
+});
+
+test('transición por razón: transition.reasons pisa el tipo y la duración por defecto', async () => {
+  const config = testConfig({ transition: { type: 'cut', duration: 30, reasons: { silence: { type: 'dip', duration: 50 }, multi: { type: 'mix' } } } });
+  assert.deepEqual(transitionFor(config, 'single'), { type: 'cut', duration: 30 });
+  assert.deepEqual(transitionFor(config, 'multi'), { type: 'mix', duration: 30 });
+  assert.deepEqual(transitionFor(config, null), { type: 'cut', duration: 30 });
+
+  const commands = [];
+  const atem = new Proxy({}, { get: (_, name) => async (...args) => commands.push([name, ...args]) });
+  await runTransition(atem, 3, transitionFor(config, 'silence'));
+  await runTransition(atem, 2, { type: 'auto', duration: 30 });
+  assert.deepEqual(commands, [
+    ['changePreviewInput', 3],
+    ['setDipTransitionSettings', { rate: 50 }],
+    ['setTransitionStyle', { nextStyle: 1 }],
+    ['autoTransition'],
+    ['changePreviewInput', 2],
+    ['autoTransition'],
+  ]);
+});
+
+test('transition.reasons en el archivo: razones libres, tipo y duración comprobados', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transition-'));
+  try {
+    const file = path.join(dir, 'config.yaml');
+    fs.writeFileSync(file, 'transition:\n  reasons:\n    silence: { type: mix, duration: 50 }\n');
+    const { config } = loadConfig(testConfig(), { configPath: file });
+    assert.deepEqual(transitionFor(config, 'silence'), { type: 'mix', duration: 50 });
+
+    fs.writeFileSync(file, 'transition:\n  reasons:\n    silence: { type: fade, duration: 0 }\n');
+    assert.throws(() => loadConfig(testConfig(), { configPath: file }), (err) => err instanceof ConfigError && err.errors.length === 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});